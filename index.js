@@ -14,37 +14,105 @@
 
 'use strict';
 
-var request = require('request');
-var ReadStream = require("fs").ReadStream;
+var EventEmitter = require("events").EventEmitter;
+var fs = require("fs");
+var ReadStream = fs.ReadStream;
+var PassThrough = require("stream").PassThrough;
+var url = require("url");
+var STATUS_CODES = require("http").STATUS_CODES;
+var crypto = require("crypto");
+var querystring = require("querystring");
+var cache = require("./lib/cache");
+var mock = require("./lib/mock");
+var exporter = require("./lib/export");
+var paginate = require("./lib/paginate");
+var schema = require("./lib/schema");
+var limiter = require("./lib/limiter");
+var breaker = require("./lib/breaker");
+var cookies = require("./lib/cookies");
+var configuration = require("./lib/config");
+var resources = require("./lib/resources");
+var serializers = require("./lib/serializers");
+var transport = require("./lib/transport");
+
+// Default values of the `retry` option
+var RETRY_DEFAULTS = {
+  maxAttempts: 3,
+  minDelay: 100,
+  maxDelay: 30000,
+  factor: 2,
+  jitter: true,
+  statusCodes: [429, 502, 503, 504],
+  errorCodes: ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'],
+  methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+  retryAfter: true
+};
+
+// The state shared by `extend()` with the child clients: the fields
+// of the client, unless the options that create them are overridden
+var SHARED_STATE = [
+  { options: ["oauth2"], fields: ["oauth2", "_tokenOwner"] },
+  { options: ["cache"], fields: ["cache", "httpCache"] },
+  { options: ["cookies"], fields: ["cookies"] },
+  { options: ["rateLimit", "maxConcurrent", "maxQueue", "limitBy", "slowdown"], fields: ["limiter"] },
+  { options: ["circuitBreaker"], fields: ["circuitBreaker"] },
+  { options: ["transport"], fields: ["transport"] }
+];
+
+// Default values of the `log` option
+var LOG_DEFAULTS = {
+  format: "text",
+  maxBodyLength: 4096,
+  levels: {}
+};
 
 /**
- * Wrapper class of the HTTP client module `request` that makes request
- * in an asynchronous way, returning `Promise` objects to handle the
+ * HTTP client that makes request in an asynchronous way, returning `Promise` objects to handle the
  * responses without blocking the execution, and removes
  * boilerplate configurations on each request: base URL, time out,
  * content type format and error handling.
  * Also allows log all operations, with `cURL` format.
+ *
+ * The client is an `EventEmitter` that emits the events `request`, `response`,
+ * `error`, `retry`, `cacheHit`, `cacheMiss`, `tokenRefresh` and `circuitStateChange`,
+ * with the timings and sizes of the requests, to collect metrics or traces.
  */
-class RequestClient {
+class RequestClient extends EventEmitter {
 
   /**
    * @param config A string with the the base URL, or an object with the following configuration:
    * - baseUrl The base URL for all the request
    * - timeout (optional) The TTL of the request in milliseconds
-   * - contentType (optional, default 'json') Content type,
-   *               valid values: 'json', 'form' or 'formData'
+   * - connectTimeout (optional) Max time in milliseconds to establish the connection,
+   *                  if it's not set, `timeout` is used
+   * - readTimeout (optional) Max time in milliseconds to wait for the server to send the response
+   *               headers or data once connected, if it's not set, `timeout` is used
+   * - contentType (optional, default 'json') Content type of the request bodies, a media type
+   *               like "application/xml", or 'json', 'ndjson', 'form', 'formData', 'xml', 'text'
+   *               or 'binary'. The `Content-Type` header of the call takes precedence
+   * - accept (optional) Media type set in the `Accept` header (if not already present), by default
+   *          the `contentType`, or 'json' if the `contentType` is 'form' or 'formData'. If the
+   *          media type is binary, like 'binary', the response bodies are returned as `Buffer`.
+   *          Set it to `false` to not send the header
+   * - serializers (optional) Object with serializers of the request bodies and parsers of the
+   *               response bodies by media type, added to the built-in ones (see `client.serializers`).
+   *               The response bodies are parsed according to their `Content-Type`
    * - headers (optional) Object with default values to send as headers.
    *           Additional headers values can be added in the request
    *           call, even override these values
-   * - forever (optional) set to `true` to use the `forever-agent` (it will keep the connection alive)
+   * - forever (optional) set to `true` to keep the connections alive, reusing them in the next requests
    * - gzip (optional) if `true`, add an `Accept-Encoding` header to request compressed content encodings
    *   from the server (if not already present) and decode supported content encodings in the response.
    *   Note: Automatic decoding of the response content is performed on the body data returned
    * - followRedirect (optional, default true) follow HTTP 3xx responses as redirects
    * - followAllRedirects (optional, default false) follow non-GET HTTP 3xx responses as redirects
    * - maxRedirects (optional, default 10) the maximum number of redirects to follow
-   * - requestOptions (optional) options to be passed to `request` module that are not covered
-   *   by the other options, like `cert`, `key`, `proxy`, `pool`, etc
+   * - requestOptions (optional) options to be passed to the transport that are not covered
+   *   by the other options, like `cert`, `key`, `ca`, `proxy`, `agent`, `pool`, etc
+   * - transport (optional) The transport that sends the requests, by default an `HttpTransport`
+   *             that uses the `http` and `https` modules. It can be an object with the method
+   *             `request(reqOptions, callback)`, or a function with the same signature,
+   *             like the `request` module
    * - auth (optional) HTTP Authentication options. The object must contain:
    *     - user || username
    *     - pass || password
@@ -59,115 +127,241 @@ class RequestClient {
    *     - user (optional) Object with the user authentication for a password grant type authentication. Should contains:
    *         - username
    *         - password
+   *     - clientId / clientSecret (optional) The client credentials, if they are not set in `oauth2.auth`
+   *     - clientAuth (optional, default 'basic') How the client authenticates against the token endpoint:
+   *       'basic' (HTTP Authentication header), 'body' (client_id and client_secret in the body),
+   *       or 'private_key_jwt' (a JWT signed with `privateKey` in the `client_assertion` body param)
+   *     - privateKey (optional) The PEM private key used with the 'private_key_jwt' client authentication
+   *     - privateKeyAlg (optional, default 'RS256') The algorithm used to sign the JWT: RS256, RS384, RS512,
+   *       ES256, ES384 or ES512
+   *     - keyId (optional) The `kid` header of the JWT
+   *     - scope (optional) The scope requested, a string or an array of strings
+   *     - audience (optional) The `audience` param requested
+   *     - params (optional) Object with extra params sent to the token endpoint
+   *     - authorizationEndpoint (optional, default 'authorize') The endpoint used with the authorization code grant type
+   *     - redirectUri (optional) The redirect URI used with the authorization code grant type
+   *     - refreshSkew (optional, default 30) Seconds before the expiration time the token is refreshed
+   *     - tokenStore (optional) Object with the methods `get()` and `set(tokenData)`, that can return a
+   *       `Promise`, used to load and save the token, eg. to survive process restarts
+   *     - tokenMapper (optional) Function that receives the token endpoint response, and returns an object
+   *       with the standard fields: access_token, token_type, expires_in and refresh_token
    * - encodeQuery (optional, default true) Encode query parameters
    *               replacing "unsafe" characters in the URL with the corresponding
    *               hexadecimal equivalent code (eg. "+" -> "%2B")
+   * - encodeParams (optional, default true) Encode the parameters of the URI
+   *                templates like "users/{id}" (eg. "/" -> "%2F")
    * - fullResponse (optional, default false)  If it's set to `true`, returns the full response instead
    *                of just the body (returns an object with body, statusCode, headers...)
-   * - cache (optional, default false) If it's set to `true`,
-   *         adds cache support to GET requests
+   * - legacyErrors (optional, default false) If it's set to `true`, responses with
+   *                HTTP status >= 400 are rejected with the response body (or the full response
+   *                if `fullResponse` is `true`) instead of an `HttpError` object
+   * - cache (optional, default false) If it's set to `true`, adds in-memory cache support
+   *         to GET requests. Can be also a cache store, or an object with the following options:
+   *     - store (optional, default a `MemoryCacheStore`) The cache store where the responses are saved,
+   *             any object with get/set/del methods returning promises or receiving callbacks
+   *     - maxEntries (optional, default 1000) The max number of responses kept by the default store
+   *     - http (optional, default false) If it's set to `true`, the responses are cached
+   *            following the HTTP cache headers (`Cache-Control`, `Expires`, `ETag`...)
+   * - retry (optional, default false) Retry failed requests with exponential backoff. Can be `true`
+   *         to use the default values, a number with the max attempts, or an object with:
+   *     - maxAttempts (default 3) Max number of attempts, including the first one
+   *     - minDelay (default 100) Delay in milliseconds before the first retry
+   *     - maxDelay (default 30000) Max delay in milliseconds between attempts
+   *     - factor (default 2) Exponential factor applied to the delay on each attempt
+   *     - jitter (default true) Randomize the delays between the 50% and the 100% of its value
+   *     - statusCodes (default [429, 502, 503, 504]) HTTP status codes that can be retried
+   *     - errorCodes (default ETIMEDOUT, ESOCKETTIMEDOUT, ECONNREFUSED, ECONNRESET, ENOTFOUND
+   *                  and EAI_AGAIN) Connection error codes that can be retried
+   *     - methods (default GET, HEAD, OPTIONS, PUT and DELETE) HTTP methods that can be retried,
+   *               non idempotent methods like POST and PATCH have to be added explicitly
+   *     - retryAfter (default true) Honor the `Retry-After` header if present, if the server
+   *                  asks to wait more than `maxDelay`, the request is not retried
+   * - dedupe (optional, default false) If it's set to `true`, concurrent GET requests to the
+   *          same URL, with the same auth and headers, share the same request in flight
+   * - interceptors (optional) Array of interceptors to apply on each request, see `use()`
+   * - rateLimit (optional) Limit the rate of the requests, an object with the max number
+   *             of `requests` allowed per `interval` (in milliseconds, default 1000).
+   *             The requests that exceed the limit wait in a queue
+   * - maxConcurrent (optional) The max number of requests running at the same time
+   * - maxQueue (optional) The max number of requests waiting in the queue of `rateLimit`
+   *            and `maxConcurrent`, when it's full the requests are rejected with a `QueueFullError`
+   * - limitBy (optional, default 'client') How `rateLimit` and `maxConcurrent` are applied:
+   *           'client' (to all the requests), 'host' (by host), or a function that receives
+   *           the URL and returns the key of the limits, eg. an URI prefix
+   * - slowdown (optional, default true) Wait before sending more requests when a response
+   *            has the header `X-RateLimit-Remaining: 0` (until `X-RateLimit-Reset`), or a
+   *            `Retry-After` header with status 429 or 503. Only with `rateLimit` or `maxConcurrent`
+   * - cookies (optional) Store the cookies received and send them in the next requests: `true`
+   *           to keep them in memory, the path of a JSON file to persist them, or a cookie jar
+   *           like `MemoryCookieJar`, `FileCookieJar` or the ones of `request.jar()`
+   * - circuitBreaker (optional) Fail fast with a `CircuitOpenError` the requests to the hosts
+   *                  that are failing. `true` to use the default values, or an object with the
+   *                  options `failureThreshold`, `window`, `coolDown`, `halfOpenRequests`,
+   *                  `statusCodes`, `errorCodes` and `staleTtl` (see `CircuitBreaker`)
+   * - strictJson (optional, default false) If it's set to `true`, the responses that can't be
+   *              parsed according to their content type, like an invalid JSON with a JSON
+   *              content type, are rejected with a `ParseError`
+   * - traceparent (optional) Set the W3C Trace Context `traceparent` header in the requests, with
+   *               a new span of the trace given: a `traceparent` value, or a function that returns
+   *               it (eg. the one of the incoming request). If it's `true`, or the function doesn't
+   *               return a valid value, a new trace is started on each call
    * - debugRequest (optional) If it's set to `true`, all requests
    *                will logged with `logger` object in a `cURL` style.
    * - debugResponse (optional) If it's set to `true`, all responses
    *                 will logged with `logger` object
    * - logger (optional, by default uses the `console` object)
    *          The logger used to log requests, responses and errors
+   * - log (optional) How the requests and responses are logged, an object with:
+   *   - format (optional, default "text") "text" to log the requests in `cURL` style,
+   *            or "json" to log them as JSON entries with the method, URL, status,
+   *            duration, headers and body
+   *   - maxBodyLength (optional, default 4096) The max number of characters of the
+   *                   bodies logged, the bodies longer are truncated. 0 to not truncate them
+   *   - levels (optional) The levels of the logs by status code ("404") or class of
+   *            status ("4xx"), and of the "request" and "error" logs, eg. `{"4xx": "warn"}`.
+   *            By default "info", and "error" for errors and responses with status >= 400
+   *   - mask, maskHeaders, maskFields, maskQuery (optional) The masking of the sensitive
+   *            values logged, the same options of `HarRecorder`
    */
   constructor(config) {
+    super();
     if (typeof(config)=='string') {
-      this.baseUrl = config;
-    } else {
-      this.baseUrl = config.baseUrl;
-      if (this.baseUrl[this.baseUrl.length - 1] != "/") {
-        this.baseUrl += "/";
-      }
-      this.timeout = config.timeout;
-      this.contentType = config.contentType || 'json';
-      this.debugRequest = config.debugRequest || false;
-      this.debugResponse = config.debugResponse || false;
-      this.logger = config.logger || console;
-      this.headers = config.headers || {};
-      if (config.forever!=undefined) {
-        this.forever = config.forever;
-      }
-      if (config.gzip!=undefined) {
-        this.gzip = config.gzip;
-      }
-      if (config.followRedirect!=undefined) {
-        this.followRedirect = config.followRedirect;
-      }
-      if (config.followAllRedirects!=undefined) {
-        this.followAllRedirects = config.followAllRedirects;
-      }
-      this.encodeQuery = config.encodeQuery!=undefined ? config.encodeQuery : true;
-      this.requestOptions = config.requestOptions || {};
-      this.fullResponse = config.fullResponse!=undefined ? config.fullResponse : false;
-      if (config.cache) {
-        this._initCache();
-      }
-
-      // HTTP Auth
-      if (config.auth) {
-        this.auth = config.auth;
-      }
-
-      // OAuth2
-      if (config.oauth2) {
-        this.oauth2 = Object.assign({}, config.oauth2);
-        this.oauth2.tokenEndpoint = config.oauth2.tokenEndpoint ? config.oauth2.tokenEndpoint : "token";
-        if (config.oauth2.grantType) {
-          this.oauth2.grantType = config.oauth2.grantType;
-        }
-        if (config.oauth2.user) { // This object should have "username" and "password" fields
-          this.oauth2.user = config.oauth2.user;
-          if (!this.oauth2.grantType) this.oauth2.grantType = "password";
-        } else if (!this.oauth2.grantType) {
-          this.oauth2.grantType = "client_credentials";
-        }
+      config = { baseUrl: config };
+    }
+    configuration.validateConfig(config);
+    this._config = Object.assign({}, config);   // Used by `extend()`
+    this.interceptors = config.interceptors ? config.interceptors.slice() : [];
+    this._inFlight = new Map();   // GET requests in flight, used when `dedupe` is enabled
+    this._activeCalls = new Set();  // Abort handles of the calls in progress, see `abortAll()`
+    this.serializers = new serializers.Serializers(config.serializers);
+    this.logOptions = Object.assign({}, LOG_DEFAULTS, config.log);
+    this.baseUrl = config.baseUrl;
+    if (this.baseUrl[this.baseUrl.length - 1] != "/") {
+      this.baseUrl += "/";
+    }
+    this.timeout = config.timeout;
+    this.connectTimeout = config.connectTimeout;
+    this.readTimeout = config.readTimeout;
+    this.contentType = config.contentType || 'json';
+    if (config.accept!=undefined) {
+      this.accept = config.accept;
+    }
+    this.debugRequest = config.debugRequest || false;
+    this.debugResponse = config.debugResponse || false;
+    this.logger = config.logger || console;
+    this.headers = config.headers || {};
+    if (config.forever!=undefined) {
+      this.forever = config.forever;
+    }
+    if (config.gzip!=undefined) {
+      this.gzip = config.gzip;
+    }
+    if (config.followRedirect!=undefined) {
+      this.followRedirect = config.followRedirect;
+    }
+    if (config.followAllRedirects!=undefined) {
+      this.followAllRedirects = config.followAllRedirects;
+    }
+    if (config.maxRedirects!=undefined) {
+      this.maxRedirects = config.maxRedirects;
+    }
+    this.transport = config.transport || new transport.HttpTransport();
+    this.encodeQuery = config.encodeQuery!=undefined ? config.encodeQuery : true;
+    this.encodeParams = config.encodeParams!=undefined ? config.encodeParams : true;
+    this.requestOptions = config.requestOptions || {};
+    this.fullResponse = config.fullResponse!=undefined ? config.fullResponse : false;
+    this.legacyErrors = config.legacyErrors!=undefined ? config.legacyErrors : false;
+    this.strictJson = config.strictJson!=undefined ? config.strictJson : false;
+    this.traceparent = config.traceparent || false;
+    this.limiter = config.rateLimit || config.maxConcurrent ? new limiter.RateLimiter(config) : null;
+    if (config.cookies) {
+      this.cookies = cookies.createCookieJar(config.cookies);
+    }
+    // Given to the circuit breaker in each request, so the state changes are emitted
+    // by the client that makes the request when the breaker is shared by `extend()`
+    this._onCircuitStateChange = (key, state, previousState) => this._circuitStateChange(key, state, previousState);
+    if (config.circuitBreaker) {
+      this.circuitBreaker = new breaker.CircuitBreaker(config.circuitBreaker, this._onCircuitStateChange);
+    }
+    this.dedupe = config.dedupe || false;
+    if (config.cache) {
+      this._initCache(config.cache);
+    }
+    if (config.retry) {
+      this.retry = this._mergeRetryOptions(RETRY_DEFAULTS, config.retry);
+    }
+
+    // HTTP Auth
+    if (config.auth) {
+      this.auth = config.auth;
+    }
 
-        var oauth2Config = {};
-        oauth2Config.baseUrl = this.oauth2.baseUrl ? this.oauth2.baseUrl : this.baseUrl;
-        oauth2Config.contentType = this.oauth2.contentType ? this.oauth2.contentType : "form";
-        oauth2Config.debugRequest = this.oauth2.debugRequest!=undefined ? this.oauth2.debugRequest : this.debugRequest;
-        oauth2Config.debugResponse = this.oauth2.debugResponse!=undefined ? this.oauth2.debugResponse : this.debugResponse;
-        oauth2Config.logger = this.oauth2.logger ? this.oauth2.logger : this.logger;
+    // OAuth2
+    if (config.oauth2) {
+      this.oauth2 = Object.assign({}, config.oauth2);
+      this._tokenOwner = this;    // The client that keeps the token, shared with the child clients
+      this.oauth2.tokenEndpoint = config.oauth2.tokenEndpoint ? config.oauth2.tokenEndpoint : "token";
+      if (config.oauth2.grantType) {
+        this.oauth2.grantType = config.oauth2.grantType;
+      }
+      if (config.oauth2.user) { // This object should have "username" and "password" fields
+        this.oauth2.user = config.oauth2.user;
+        if (!this.oauth2.grantType) this.oauth2.grantType = "password";
+      } else if (!this.oauth2.grantType) {
+        this.oauth2.grantType = "client_credentials";
+      }
+      this.oauth2.clientAuth = config.oauth2.clientAuth || "basic";
+      this.oauth2.refreshSkew = config.oauth2.refreshSkew!=undefined ? config.oauth2.refreshSkew : 30;
+      var clientAuth = this.oauth2.auth || this.auth || {};
+      this.oauth2.clientId = config.oauth2.clientId || clientAuth.user || clientAuth.username;
+      this.oauth2.clientSecret = config.oauth2.clientSecret || clientAuth.pass || clientAuth.password;
+
+      var oauth2Config = {};
+      oauth2Config.baseUrl = this.oauth2.baseUrl ? this.oauth2.baseUrl : this.baseUrl;
+      oauth2Config.contentType = this.oauth2.contentType ? this.oauth2.contentType : "form";
+      oauth2Config.serializers = this.oauth2.serializers ? this.oauth2.serializers : config.serializers;
+      oauth2Config.debugRequest = this.oauth2.debugRequest!=undefined ? this.oauth2.debugRequest : this.debugRequest;
+      oauth2Config.debugResponse = this.oauth2.debugResponse!=undefined ? this.oauth2.debugResponse : this.debugResponse;
+      oauth2Config.logger = this.oauth2.logger ? this.oauth2.logger : this.logger;
+      oauth2Config.log = this.oauth2.log ? this.oauth2.log : config.log;
+      if (this.oauth2.clientAuth == "basic") {
         oauth2Config.auth = this.oauth2.auth ? this.oauth2.auth : this.auth;
-        oauth2Config.timeout = this.oauth2.timeout ? this.oauth2.timeout : this.timeout;
-        this.oauth2._client = new RequestClient(oauth2Config);
+        if (!oauth2Config.auth && this.oauth2.clientId) {
+          oauth2Config.auth = {user: this.oauth2.clientId, pass: this.oauth2.clientSecret};
+        }
+      }
+      oauth2Config.timeout = this.oauth2.timeout ? this.oauth2.timeout : this.timeout;
+      oauth2Config.connectTimeout = this.oauth2.connectTimeout ? this.oauth2.connectTimeout : this.connectTimeout;
+      oauth2Config.readTimeout = this.oauth2.readTimeout ? this.oauth2.readTimeout : this.readTimeout;
+      oauth2Config.retry = this.oauth2.retry!=undefined ? this.oauth2.retry : this.retry;
+      oauth2Config.legacyErrors = this.oauth2.legacyErrors!=undefined ? this.oauth2.legacyErrors : this.legacyErrors;
+      oauth2Config.interceptors = this.oauth2.interceptors;
+      oauth2Config.traceparent = this.oauth2.traceparent!=undefined ? this.oauth2.traceparent : this.traceparent;
+      oauth2Config.transport = this.oauth2.transport || this.transport;
+      this.oauth2._client = new RequestClient(oauth2Config);
+      // The events of the requests to the token endpoint are emitted by this client too
+      ['request', 'response', 'error', 'retry'].forEach(event => {
+        this.oauth2._client.on(event, info => this._emit(event, Object.assign({oauth2: true}, info)));
+      });
+      if (!this.oauth2.interceptors) {
+        // Share the interceptors, so the ones added later with `use()` are applied too
+        this.oauth2._client.interceptors = this.interceptors;
       }
     }
   }
 
   request(method, uri, data, options) {
-    if (this.cache && method=='GET' && options && options.cacheTtl!=undefined) {
-      var self = this;
-      return new Promise((resolve, reject) => {
-        var parsedUri = self._parseUri(uri, options);
-        self.cache.get(parsedUri, (err, value) => {
-          if (!err) {
-            if (value!=undefined) {
-              self._debugCacheResponse(uri, value);
-              resolve(value);
-            } else {
-              // Do the request and save the result in the cache before returns (anyway returns in async way the promise)
-              resolve(self._doRequest(method, uri, undefined, options).then(result => {
-                if (typeof(options.cacheTtl)=='number') {
-                  self.cache.set(parsedUri, result, options.cacheTtl, (err, success) => {
-                      if (err || !success)
-                        self.logger.error('Error saving "%s" in cache. %s', parsedUri, err)
-                    });
-                }
-                return result;
-              }));
-            }
-          } else {
-            reject(err);
-          }
-        });
-      });
-    } else {
-      return this._doRequest(method, uri, data, options);
+    try {
+      this._checkUriParams(uri, options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    var strictJson = options && options.strictJson!=undefined ? options.strictJson : this.strictJson;
+    var fullResponse = options && options.fullResponse!=undefined ? options.fullResponse : this.fullResponse;
+    if (strictJson || fullResponse || (options && (options.schema || options.requestSchema || options.transform))) {
+      return this._doValidatedRequest(method, uri, data, options || {}, strictJson);
     }
+    return this._dispatchRequest(method, uri, data, options);
   }
   get(uri, options) {
     return this.request('GET', uri, undefined, options);
@@ -185,89 +379,1276 @@ class RequestClient {
     return this.request('DELETE', uri, undefined, options);
   }
 
+  /**
+   * Iterates over the items of a paged endpoint. Each page is requested with a
+   * GET call when the items of the previous page are consumed, so the pages
+   * are logged and cached like any other call.
+   * @param uri The URI of the first page, a string or an object like the `get()` calls
+   * @param options (optional) The same options accepted by the other calls, and:
+   *   - strategy (optional, default 'link') How the next page is requested:
+   *     'link' (RFC 5988 `Link` header with rel="next"), 'offset' (`offset` and `limit`
+   *     query parameters), 'page' (`page` and `per_page` query parameters), 'cursor'
+   *     (cursor token returned in the body), or a custom function that receives
+   *     an object with the `uri`, `url`, `response`, `body`, `items` and `number`
+   *     of the current page, and returns the URI of the next page or `null`
+   *   - items (optional) A function that receives the body and the response and returns the
+   *     items of the page, or the path of the field with the items, eg. "data.users".
+   *     By default the body if it's an array, or the `items`, `data` or `results` field
+   *   - pageSize (optional) The number of items requested by page with the 'offset'
+   *     and 'page' strategies. A page with less items is the last one
+   *   - maxItems (optional) The max number of items returned
+   *   - maxPages (optional) The max number of pages requested
+   *   - offset (default 0), offsetParam (default 'offset'), limitParam (default 'limit')
+   *     Options of the 'offset' strategy
+   *   - firstPage (default 1), pageParam (default 'page'), perPageParam (default 'per_page')
+   *     Options of the 'page' strategy
+   *   - cursor (default 'next_cursor'), cursorParam (default 'cursor') Options of the
+   *     'cursor' strategy: the path of the field with the next cursor in the body (or a function
+   *     that receives the body and the response and returns it), and the query parameter
+   * @returns An async iterator of the items, with the `next()` method (that returns a `Promise`)
+   *          and the `collectAll(maxItems)` method, that returns a `Promise` with an array
+   *          of all the items
+   */
+  paginate(uri, options) {
+    return new paginate.Paginator(this, uri, options);
+  }
+
+  /**
+   * Aborts all the calls in progress made by the client, including the ones
+   * waiting for an OAuth2 token or a retry delay. The calls are rejected with
+   * an `AbortError`. Useful to shutdown services cleanly.
+   */
+  abortAll() {
+    Array.from(this._activeCalls).forEach(handle => handle.abort());
+    if (this.oauth2) {
+      this.oauth2._client.abortAll();
+    }
+  }
+
+  /**
+   * Makes a request streaming the request and response bodies, without
+   * loading them in memory. The same options of the other calls can be
+   * passed, but the responses are not cached, and the requests are not
+   * retried nor passed through the interceptors.
+   * @param method The HTTP method
+   * @param uri The URI, a string or an object like the other calls
+   * @param data (optional) A readable stream with the body to upload, or
+   *             the same data accepted by the other calls
+   * @param options (optional) The same options accepted by the other calls
+   * @returns {stream.PassThrough} A readable stream with the response body, that emits these events:
+   *   - response: with the response object (statusCode, headers...), before the body is streamed
+   *   - progress: with an object with `type` ('upload' or 'download'),
+   *     `bytes` transferred and `total` bytes (if known)
+   *   - error: with an `HttpError` if the response has HTTP status >= 400,
+   *     a `ConnectionError`, an `AbortError`, or any other error
+   */
+  stream(method, uri, data, options) {
+    var self = this;
+    var output = new PassThrough();
+    var isStream = data!=undefined && typeof(data.pipe)=='function';
+    var context = {client: self, method: method, uri: uri, data: data, options: options, attempt: 1,
+                   requestId: (options && options.requestId) || crypto.randomBytes(8).toString("hex")};
+    var abortHandle = self._createAbortHandle(options);
+    var finished = false;
+    var emitError = err => {
+      abortHandle.dispose();
+      output.emit('error', err);
+    };
+    output.on('end', () => abortHandle.dispose());
+    self._abortable(self._prepareReqOptions(method, uri, isStream ? undefined : data, options), abortHandle, method, uri)
+      .then(reqOptions => self._prepareStreamUpload(reqOptions, isStream ? data : undefined, output))
+      .then(reqOptions => {
+        reqOptions.legacyErrors = false;
+        if (abortHandle.aborted) {
+          throw new AbortError(method, reqOptions.url);
+        }
+        self._debugRequest(Object.assign({}, reqOptions, isStream ? {body: data} : {}), context);
+        self._emit('request', Object.assign(self._eventInfo(reqOptions, context), {headers: reqOptions.headers}));
+        context.startTime = new Date().getTime();
+        var finish = result => {
+          if (!finished) {
+            finished = true;
+            self._emitResult(result, reqOptions, context, context.startTime);
+          }
+        };
+        var req = transport.send(self.transport, reqOptions);
+        abortHandle.onAbort(() => {
+          req.abort();
+          finish({ error: new AbortError(method, reqOptions.url) });
+          emitError(new AbortError(method, reqOptions.url));
+        });
+        self._setConnectTimeout(req, reqOptions, error => {
+          req.abort();
+          finish({ error: error });
+          self._handleError(error, uri, reqOptions, emitError, context);
+        });
+        req.on('error', error => {
+          finish({ error: error });
+          self._handleError(error, uri, reqOptions, emitError, context);
+        });
+        req.on('response', httpResponse => {
+          var total = httpResponse.headers['content-length'] ? parseInt(httpResponse.headers['content-length'], 10) : undefined;
+          var bytes = 0;
+          if (httpResponse.statusCode >= 400) {
+            // The error body is buffered to be included in the `HttpError`
+            var chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => {
+              var body = Buffer.concat(chunks).toString();
+              finish({ response: httpResponse, size: Buffer.byteLength(body) });
+              self._debugResponse(httpResponse, body, reqOptions, context);
+              emitError(self._prepareErrorResponse(body, httpResponse, reqOptions, context));
+            });
+            return;
+          }
+          output.emit('response', httpResponse);
+          req.on('data', chunk => {
+            bytes += chunk.length;
+            output.emit('progress', { type: 'download', bytes: bytes, total: total });
+          });
+          req.on('end', () => {
+            finish({ response: httpResponse, size: bytes });
+            self._debugResponse(httpResponse, "<" + bytes + " bytes streamed>", reqOptions, context);
+          });
+          req.pipe(output);
+        });
+      })
+      .catch(emitError);
+    return output;
+  }
+
+  // Set the stream `data` as the body of the request, counting the bytes
+  // sent to emit the `progress` events in the `output` stream
+  _prepareStreamUpload(reqOptions, data, output) {
+    if (data==undefined) {
+      return Promise.resolve(reqOptions);
+    }
+    var headers = reqOptions.headers = Object.assign({}, reqOptions.headers);
+    var contentLength = Object.keys(headers).filter(name => name.toLowerCase()=='content-length')[0];
+    return new Promise(resolve => {
+      if (contentLength || !(data instanceof ReadStream)) {
+        return resolve(contentLength ? parseInt(headers[contentLength], 10) : undefined);
+      }
+      // Send the file size as `Content-Length`
+      fs.stat(data.path, (err, stats) => {
+        if (!err) headers['Content-Length'] = stats.size;
+        resolve(err ? undefined : stats.size);
+      });
+    }).then(total => {
+      var bytes = 0;
+      var counter = new PassThrough();
+      counter.on('data', chunk => {
+        bytes += chunk.length;
+        output.emit('progress', { type: 'upload', bytes: bytes, total: total });
+      });
+      counter.pause();
+      data.on('error', err => output.emit('error', err));
+      reqOptions.body = data.pipe(counter);
+      return reqOptions;
+    });
+  }
+
+  /**
+   * Adds an interceptor to the pipeline of all the requests made by the client,
+   * including the OAuth2 token requests. Interceptors are applied in the same
+   * order they were added. The interceptor is an object with any of these functions,
+   * that can return the value or a `Promise`:
+   * - request(reqOptions, context) Called before each request is sent with the
+   *   `request` options. It can modify the options, or return new ones. If an object
+   *   with a `statusCode` field is returned (and optionally `headers` and `body`),
+   *   the request is not sent and the object is used as the response.
+   * - response(httpResponse, context) Called with each response received. It can
+   *   modify the response (eg. `httpResponse.body`), or return a new one.
+   * - error(error, context) Called when the request fails without response (connection
+   *   errors or errors thrown by other interceptors). It can recover returning a response
+   *   object (with `statusCode`), or throw another error. If it returns nothing the error
+   *   is passed to the next interceptor.
+   * The `context` object contains: client, method, uri, data, options, attempt,
+   * startTime (timestamp in milliseconds when the attempt started), and queueTime
+   * (milliseconds waited in the queue of `rateLimit` and `maxConcurrent`, in the
+   * response phase).
+   * @returns {RequestClient} the client itself
+   */
+  use(interceptor) {
+    this.interceptors.push(interceptor);
+    return this;
+  }
+
+  /**
+   * Creates a child client with the configuration of this client and the overrides
+   * given, eg. another base path, extra headers or a different timeout. The `baseUrl`
+   * of the overrides can be relative to the base URL of this client, and the `headers`
+   * are added to the headers of this client.
+   * The child shares with this client the OAuth2 token, the cache, the cookies, the
+   * rate limits and the circuit breaker, unless they are set in the overrides.
+   * The interceptors are copied, the ones added later with `use()` are not shared.
+   * @param overrides (optional) An object with the options that change, the same
+   *                  options than the constructor
+   * @returns {RequestClient} the child client
+   */
+  extend(overrides) {
+    overrides = overrides || {};
+    var config = Object.assign({}, this._config, overrides);
+    config.baseUrl = overrides.baseUrl!=undefined ? url.resolve(this.baseUrl, overrides.baseUrl) : this.baseUrl;
+    config.headers = Object.assign({}, this.headers, overrides.headers);
+    config.interceptors = overrides.interceptors || this.interceptors;
+    var shared = SHARED_STATE.filter(state => state.options.every(name => overrides[name]===undefined));
+    shared.forEach(state => state.options.forEach(name => delete config[name]));
+    var child = new RequestClient(config);
+    shared.forEach(state => state.fields.forEach(field => {
+      if (this[field]!==undefined) child[field] = this[field];
+    }));
+    return child;
+  }
+
+  /**
+   * Returns the cURL command that makes the same request than
+   * `request(method, uri, data, options)`, with the values quoted to be
+   * executed in a POSIX shell. The credentials and other sensitive values
+   * are masked with shell variables like `${ACCESS_TOKEN}`, unless the
+   * option `mask` is `false`. The masked headers and fields can be changed
+   * with the options `maskHeaders` and `maskFields`.
+   * If OAuth2 is configured, the access token is requested if needed.
+   * @returns {Promise} resolved with the command
+   */
+  toCurl(method, uri, data, options) {
+    return this._prepareReqOptions(method, uri, data, options)
+      .then(reqOptions => "curl " + exporter.toCurl(reqOptions, options));
+  }
+
   // Delete element from local cache. The uri is the Id of the
   // response cached, and can be an string or an object like the
-  // `get()` calls.
-  deleteFromCache(uri) {
-    if (this.cache) {
-      var parsedUri = this._parseUri(uri);
-      var self = this;
-      this.cache.del(parsedUri, (err, count) => {
-        if(err) {
-          self.logger.error('Error deleting cache element "%s". %s', parsedUri, err);
+  // `get()` calls. If the option `prefix` is `true`, all the responses
+  // with an URI that starts with `uri` are deleted. The responses are
+  // cached by the full URL, so the clients created with `extend()` that
+  // share the cache with other base URL don't delete each other responses.
+  // Returns a promise resolved with the number of elements deleted.
+  deleteFromCache(uri, options) {
+    if (!this.cache) {
+      return Promise.resolve(0);   // Nothing happens ...
+    }
+    var parsedUri = this._fullUrl(this._parseUri(uri));
+    var self = this;
+    var result;
+    if (options && options.prefix) {
+      if (!this.cache.keys) {
+        return Promise.reject(new Error("The cache store does not support to delete elements by prefix"));
+      }
+      result = this.cache.keys()
+        .then(keys => Promise.all(keys.filter(key => key.indexOf(parsedUri)==0).map(key => self.cache.del(key))))
+        .then(counts => counts.reduce((total, count) => total + (count || 0), 0));
+    } else {
+      result = this.cache.del(parsedUri);
+    }
+    return result.catch(err => {
+      self.logger.error('Error deleting cache element "%s". %s', parsedUri, err);
+      throw err;
+    });
+  }
+
+  _doGetOrRequest(method, uri, data, options) {
+    if (this.cache && method=='GET' && ((options && options.cacheTtl!=undefined) || this.httpCache)) {
+      return this._doCachedRequest(uri, options || {});
+    } else {
+      return this._doRequest(method, uri, data, options);
+    }
+  }
+
+  // Makes the request, sharing it with the concurrent ones if the `dedupe` option is set
+  _dispatchRequest(method, uri, data, options) {
+    if (method=='GET' && (options && options.dedupe!=undefined ? options.dedupe : this.dedupe)) {
+      return this._doDedupedRequest(uri, options || {});
+    }
+    return this._doGetOrRequest(method, uri, data, options);
+  }
+
+  // Validates the request body with the `requestSchema` option and the response body
+  // with the `schema` option, and transforms the response body with the `transform` option.
+  // The full response is requested to parse the body, in strict mode if `strictJson` is set,
+  // so the calls with the `fullResponse` option are made here too, to return the body parsed
+  _doValidatedRequest(method, uri, data, options, strictJson) {
+    var self = this;
+    var url = self._fullUrl(self._parseUri(uri, options));
+    var fullResponse = options.fullResponse!=undefined ? options.fullResponse : self.fullResponse;
+    var legacyErrors = options.legacyErrors!=undefined ? options.legacyErrors : self.legacyErrors;
+    return Promise.resolve().then(() => {
+      if (options.requestSchema && data!=undefined) {
+        var errors = schema.validate(options.requestSchema, data);
+        if (errors.length > 0) {
+          throw new ValidationError("request", errors, data, method, url);
+        }
+      }
+      return self._dispatchRequest(method, uri, data, Object.assign({}, options, {fullResponse: true}));
+    }).then(httpResponse => {
+      var body = self._parseResponseBody(httpResponse, strictJson, method, url);
+      if (options.schema) {
+        var errors = schema.validate(options.schema, body);
+        if (errors.length > 0) {
+          throw new ValidationError("response", errors, body, method, url);
+        }
+      }
+      return Promise.resolve(options.transform ? options.transform(body, httpResponse) : body)
+        .then(body => fullResponse ? self._copyResponse(httpResponse, body) : body);
+    }, err => {
+      if (legacyErrors && err && err.statusCode!=undefined) {
+        // Legacy errors are rejected with the full response requested, so only the body is returned
+        if (!fullResponse) {
+          throw self._prepareResponseBody(err.body, err, {fullResponse: false});
+        }
+        throw self._copyResponse(err, self._decodeBody(err.body, err, false));
+      }
+      throw err;
+    });
+  }
+
+  // Copy of the full response with the body given, so the response is not modified
+  // for the other callers that share it (see the `dedupe` option)
+  _copyResponse(httpResponse, body) {
+    return Object.assign({}, httpResponse, {
+      headers: Object.assign({}, httpResponse.headers),
+      body: body
+    });
+  }
+
+  // Parse the body of the full response. In strict mode, the responses that can't be
+  // parsed according to their content type are rejected with a `ParseError`
+  _parseResponseBody(httpResponse, strict, method, url) {
+    try {
+      return this._decodeBody(httpResponse.body, httpResponse, strict);
+    } catch (err) {
+      throw new ParseError(err, httpResponse.body, httpResponse, method, url);
+    }
+  }
+
+  // GET request that shares the request in flight with the same URL, auth and headers if there is
+  // one. The full response is shared, and each caller gets a copy of it, or the body prepared
+  _doDedupedRequest(uri, options) {
+    var self = this;
+    var key = self._dedupeKey(uri, options);
+    var promise = self._inFlight.get(key);
+    if (promise) {
+      self._debugDedupe(uri, self._fullUrl(self._parseUri(uri, options)));
+    } else {
+      // The request shared is not aborted by the `signal` of the caller, only by `abortAll()`
+      promise = self._doGetOrRequest('GET', uri, undefined, Object.assign({}, options, {fullResponse: true, signal: undefined}));
+      self._inFlight.set(key, promise);
+      var remove = () => {
+        if (self._inFlight.get(key)===promise) self._inFlight.delete(key);
+      };
+      promise.then(remove, remove);
+    }
+    var fullResponse = options.fullResponse!=undefined ? options.fullResponse : self.fullResponse;
+    var legacyErrors = options.legacyErrors!=undefined ? options.legacyErrors : self.legacyErrors;
+    if (options.signal) {
+      var abortHandle = self._createAbortHandle(options);
+      promise = self._abortable(promise, abortHandle, 'GET', uri);
+      promise.then(abortHandle.dispose, abortHandle.dispose);
+    }
+    return promise.then(
+      httpResponse => fullResponse ? self._copyResponse(httpResponse, httpResponse.body)
+                                   : self._prepareResponseBody(httpResponse.body, httpResponse, {fullResponse: false}),
+      err => {
+        if (legacyErrors && !fullResponse && err && err.statusCode!=undefined) {
+          // Legacy errors are rejected with the full response shared, so only the body is returned
+          throw self._prepareResponseBody(err.body, err, {fullResponse: false});
+        }
+        throw err;
+      });
+  }
+
+  _dedupeKey(uri, options) {
+    var headers = this._lowerCaseHeaders(Object.assign({}, this.headers, options.headers));
+    return JSON.stringify([
+      this._parseUri(uri, options),
+      options.auth || this.auth || null,
+      Object.keys(headers).sort().map(name => [name, headers[name]]),
+      // Options that change how the response is saved or rejected
+      options.cacheTtl!=undefined ? options.cacheTtl : null,
+      options.legacyErrors!=undefined ? options.legacyErrors : this.legacyErrors
+    ]);
+  }
+
+  // GET request that returns the response from the cache if it's
+  // available and fresh, otherwise makes the request and saves the result.
+  // The key is the full URL, because the cache can be shared by clients with
+  // other base URL (see `extend()`)
+  _doCachedRequest(uri, options) {
+    var self = this;
+    var key = self._fullUrl(self._parseUri(uri, options));
+    var headers = self._lowerCaseHeaders(Object.assign({}, self.headers, options.headers));
+    return self._getCacheEntry(key, headers)
+      .catch(err => {
+        self.logger.error('Error reading "%s" from cache. %s', key, err);
+        return undefined;
+      })
+      .then(entry => {
+        var now = new Date().getTime();
+        var info = { method: 'GET', url: key, key: key };
+        if (entry && (!entry.expires || entry.expires > now)) {
+          self._debugCacheResponse(uri, info.url);
+          self._emit('cacheHit', Object.assign(info, {stale: false}));
+          return self._prepareCachedResponse(entry, options);
+        }
+        if (entry && entry.staleUntil > now) {
+          // Stale while revalidate: returns the stale response, and updates it in background
+          self._debugCacheResponse(uri, info.url, "stale, revalidating");
+          self._emit('cacheHit', Object.assign(info, {stale: true}));
+          self._fetchAndCache(uri, options, key, headers, entry).catch(err => {
+            self.logger.error('Error revalidating "%s" in cache. %s', key, err);
+          });
+          return self._prepareCachedResponse(entry, options);
+        }
+        self._emit('cacheMiss', Object.assign(info, {stale: !!entry}));
+        return self._fetchAndCache(uri, options, key, headers, entry);
+      });
+  }
+
+  // Get the cache entry, resolving the variant of the
+  // response if the entry is indexed by the `Vary` headers
+  _getCacheEntry(key, headers) {
+    var self = this;
+    return self.cache.get(key).then(entry => {
+      if (entry && entry.vary) {
+        return self.cache.get(self._cacheVariantKey(key, entry.vary, headers));
+      }
+      return entry;
+    });
+  }
+
+  _cacheVariantKey(key, vary, headers) {
+    return key + "#" + vary.map(name => name + "=" + (headers[name]!=undefined ? headers[name] : "")).join("&");
+  }
+
+  // Makes the GET request (a conditional request if the stale entry has validators)
+  // and stores the response in the cache
+  _fetchAndCache(uri, options, key, headers, staleEntry) {
+    var self = this;
+    var reqOptions = Object.assign({}, options, {fullResponse: true});
+    if (staleEntry && (staleEntry.etag || staleEntry.lastModified)) {
+      reqOptions.headers = Object.assign({}, options.headers);
+      if (staleEntry.etag) {
+        reqOptions.headers["If-None-Match"] = staleEntry.etag;
+      }
+      if (staleEntry.lastModified) {
+        reqOptions.headers["If-Modified-Since"] = staleEntry.lastModified;
+      }
+    }
+    return self._doRequest('GET', uri, undefined, reqOptions).then(httpResponse => {
+      var entry = httpResponse;
+      if (httpResponse.statusCode==304 && staleEntry) {
+        // Not modified: the stale response is fresh again with the new headers
+        entry = Object.assign({}, staleEntry, {
+          headers: Object.assign({}, staleEntry.headers, self._lowerCaseHeaders(httpResponse.headers))
+        });
+      }
+      return self._saveCacheEntry(key, headers, entry, options).then(() => {
+        if (entry!==httpResponse) {
+          return self._prepareCachedResponse(entry, options);
         }
+        return self._prepareResponseBody(httpResponse.body, httpResponse,
+                                         {fullResponse: options.fullResponse!=undefined ? options.fullResponse : self.fullResponse});
       });
+    }, err => {
+      if (err instanceof CircuitOpenError && staleEntry) {
+        // The stale response is returned while the circuit of the host is open
+        self._debugCacheResponse(uri, key, "stale, circuit open");
+        return self._prepareCachedResponse(staleEntry, options);
+      }
+      throw err;
+    });
+  }
+
+  // Saves the response in the cache, with the TTL given in the `cacheTtl` option,
+  // or the one obtained from the HTTP cache headers if the HTTP cache is enabled.
+  // The promise returned is never rejected, errors are logged
+  _saveCacheEntry(key, headers, httpResponse, options) {
+    var self = this;
+    var entry = {
+      statusCode: httpResponse.statusCode,
+      headers: self._lowerCaseHeaders(httpResponse.headers),
+      body: httpResponse.body
+    };
+    var ttl;
+    if (typeof(options.cacheTtl)=='number') {
+      ttl = options.cacheTtl;
+    } else if (options.cacheTtl==undefined && self.httpCache) {
+      var policy = self._httpCachePolicy(entry);
+      if (!policy) return Promise.resolve();
+      Object.assign(entry, policy.entry);
+      ttl = policy.ttl;
+    } else {
+      return Promise.resolve();
+    }
+    var staleTtl = self.circuitBreaker ? self.circuitBreaker.staleTtl : 0;
+    if (staleTtl > 0 && ttl > 0) {
+      // Kept after it expires, to be returned while the circuit of the host is open
+      if (entry.expires==undefined) {
+        entry.expires = new Date().getTime() + ttl * 1000;
+      }
+      ttl += staleTtl;
+    }
+    var vary = entry.headers["vary"] ? entry.headers["vary"].toLowerCase().split(/\s*,\s*/) : [];
+    if (vary.indexOf("*")>=0) return Promise.resolve();
+    var saved;
+    if (vary.length > 0) {
+      saved = self.cache.set(key, {vary: vary}, ttl)
+        .then(() => self.cache.set(self._cacheVariantKey(key, vary, headers), entry, ttl));
     } else {
-      // Nothing happens ...
+      saved = self.cache.set(key, entry, ttl);
     }
+    return saved.then(success => {
+      if (!success) self.logger.error('Error saving "%s" in cache.', key);
+    }, err => self.logger.error('Error saving "%s" in cache. %s', key, err));
+  }
+
+  // Returns the expiration info of the response and the TTL to save it in
+  // the cache following the HTTP cache headers, or `null` if the response
+  // can't be cached
+  _httpCachePolicy(entry) {
+    if (entry.statusCode!=200) return null;
+    var cacheControl = {};
+    (entry.headers["cache-control"] || "").split(",").forEach(directive => {
+      var parts = directive.trim().toLowerCase().split("=");
+      if (parts[0]) cacheControl[parts[0]] = parts.length > 1 ? parts[1].replace(/"/g, "") : true;
+    });
+    if (cacheControl["no-store"]) return null;
+    var maxAge = 0;
+    if (cacheControl["no-cache"]) {
+      maxAge = 0;
+    } else if (cacheControl["max-age"]!=undefined) {
+      maxAge = parseInt(cacheControl["max-age"], 10) || 0;
+    } else if (entry.headers["expires"]) {
+      var date = entry.headers["date"] ? Date.parse(entry.headers["date"]) : new Date().getTime();
+      maxAge = Math.max(0, Math.floor((Date.parse(entry.headers["expires"]) - date) / 1000)) || 0;
+    }
+    var staleWhileRevalidate = parseInt(cacheControl["stale-while-revalidate"], 10) || 0;
+    var etag = entry.headers["etag"];
+    var lastModified = entry.headers["last-modified"];
+    if (maxAge + staleWhileRevalidate <= 0 && !etag && !lastModified) return null;
+    var expires = new Date().getTime() + maxAge * 1000;
+    return {
+      entry: {
+        expires: expires,
+        staleUntil: expires + staleWhileRevalidate * 1000,
+        etag: etag,
+        lastModified: lastModified
+      },
+      // Responses with validators are kept until they are discarded by the store, to be revalidated
+      ttl: etag || lastModified ? 0 : maxAge + staleWhileRevalidate
+    };
+  }
+
+  // Returns the body of the cached response, or a
+  // response object if the `fullResponse` option is set
+  _prepareCachedResponse(entry, options) {
+    var fullResponse = options.fullResponse!=undefined ? options.fullResponse : this.fullResponse;
+    var httpResponse = { statusCode: entry.statusCode, headers: entry.headers, body: entry.body };
+    return this._prepareResponseBody(entry.body, httpResponse, {fullResponse: fullResponse});
+  }
+
+  _lowerCaseHeaders(headers) {
+    var result = {};
+    for (var k in headers) {
+      result[k.toLowerCase()] = headers[k];
+    }
+    return result;
+  }
+
+  /**
+   * Returns the URL where the user has to be redirected to authorize the
+   * client, with the authorization code grant type.
+   * @param options (optional) Object with the options:
+   * - redirectUri (optional, default `oauth2.redirectUri`)
+   * - scope (optional, default `oauth2.scope`)
+   * - state (optional) An opaque value to maintain state between the request and the callback
+   * - codeChallenge (optional) The PKCE code challenge, see `RequestClient.createPkce()`
+   * - params (optional) Object with extra query params
+   * @returns {string} the authorization URL
+   */
+  getAuthorizationUrl(options) {
+    options = options || {};
+    var query = Object.assign({
+      "response_type": "code",
+      "client_id": this.oauth2.clientId,
+      "redirect_uri": options.redirectUri || this.oauth2.redirectUri,
+      "scope": this._formatScope(options.scope || this.oauth2.scope),
+      "state": options.state
+    }, options.params);
+    if (options.codeChallenge) {
+      query["code_challenge"] = options.codeChallenge;
+      query["code_challenge_method"] = "S256";
+    }
+    for (var k in query) {
+      if (query[k]==undefined) delete query[k];
+    }
+    var url = this._oauth2Url(this.oauth2.authorizationEndpoint || "authorize");
+    return url + (url.indexOf("?")>=0 ? "&" : "?") + querystring.stringify(query);
+  }
+
+  /**
+   * Exchange the code received in the redirect URI after the user
+   * authorized the client, for an access token that is used in the
+   * next requests (authorization code grant type).
+   * @param code The authorization code
+   * @param options (optional) Object with the options:
+   * - redirectUri (optional, default `oauth2.redirectUri`) The same redirect URI used to get the code
+   * - codeVerifier (optional) The PKCE code verifier, see `RequestClient.createPkce()`
+   * @returns {Promise} resolved with the token data
+   */
+  exchangeAuthorizationCode(code, options) {
+    options = options || {};
+    var self = this;
+    if (self._tokenOwner!==self) {
+      return self._tokenOwner.exchangeAuthorizationCode(code, options);
+    }
+    var params = {
+      "grant_type": "authorization_code",
+      "code": code,
+      "redirect_uri": options.redirectUri || self.oauth2.redirectUri
+    };
+    if (options.codeVerifier) {
+      params["code_verifier"] = options.codeVerifier;
+    }
+    return self._requestOAuth2Token(params).then(() => Object.assign({}, self.tokenData));
+  }
+
+  /**
+   * Creates an API object with a function for each endpoint declared in the
+   * map of resources, that makes the call with the client. The endpoints can
+   * be grouped in nested objects, eg. `{users: {get: {uri: "users/{id}"}}}`
+   * creates the function `api.users.get(params, options)`.
+   * @param map An object with the names of the endpoints as keys, and as values the
+   *            endpoint definitions or groups of endpoints. The definitions are objects with:
+   *   - uri The URI template, like "users/{id}"
+   *   - method (optional, default 'GET') The HTTP method
+   *   - params (optional) The names of the required parameters, besides the
+   *            ones in the URI template, that are always required
+   *   - query (optional) Default query parameters
+   *   - contentType (optional) The content type of the body, eg. "multipart/form-data"
+   *   - headers (optional) Headers sent
+   *   - cacheTtl (optional) TTL in seconds of the responses cached
+   *   - options (optional) Other options passed to the calls, like `retry` or `schema`
+   *            The map can be also an OpenAPI 3 document, or the path of an OpenAPI 3
+   *            JSON file, see `RequestClient.openApiResources()`
+   * @returns {object} with the functions of the endpoints, that receive:
+   *   - params An object with the URI parameters, the other values are sent as query
+   *     parameters. Omitted if the method has a body (POST, PUT or PATCH) and there
+   *     are no URI parameters or required parameters
+   *   - data The body, only if the method has a body
+   *   - options The options of the call, including `query` with more query parameters
+   *   and return a `Promise` like the other calls, rejected if a required parameter is missing
+   */
+  resources(map) {
+    if (typeof(map)=='string' || map.openapi) {
+      map = RequestClient.openApiResources(map);
+    }
+    return resources.createResources(this, map);
+  }
+
+  /**
+   * Creates the map of resources used by `resources()` from an OpenAPI 3
+   * document. The endpoints are grouped by the first tag of the operations,
+   * and named by the `operationId` (or the method and the path) in camel case.
+   * @param document The OpenAPI 3 document, or the path of a JSON file with it
+   * @returns {object} the map of resources
+   */
+  static openApiResources(document) {
+    return resources.openApiResources(document);
+  }
+
+  /**
+   * Loads the configuration from a JSON file with profiles (eg. "dev", "staging"
+   * and "prod") and from environment variables like `REQCLIENT_BASE_URL`.
+   * @param options (optional) An object with the following options:
+   * - file (optional) The path of the JSON file. The options of the profile selected
+   *        in the `profiles` object override the other options of the file
+   * - profile (optional) The name of the profile, by default the `REQCLIENT_PROFILE`
+   *           environment variable
+   * - env (optional, default `process.env`) The environment variables
+   * - prefix (optional, default "REQCLIENT_") The prefix of the environment variables.
+   *          The nested options are separated by "__", like `REQCLIENT_OAUTH2__CLIENT_ID`
+   * - config (optional) Options that override the ones loaded
+   * @returns {object} the configuration, to pass to the constructor
+   */
+  static loadConfig(options) {
+    return configuration.loadConfig(options);
+  }
+
+  /**
+   * Creates a random PKCE code verifier and its code challenge (S256 method),
+   * to use with `getAuthorizationUrl()` and `exchangeAuthorizationCode()`.
+   * @returns {object} with `codeVerifier`, `codeChallenge` and `codeChallengeMethod`
+   */
+  static createPkce() {
+    var codeVerifier = base64Url(crypto.randomBytes(32));
+    return {
+      codeVerifier: codeVerifier,
+      codeChallenge: base64Url(crypto.createHash("sha256").update(codeVerifier).digest()),
+      codeChallengeMethod: "S256"
+    };
   }
 
   _isTokenExpired(ignoreExpiration) {
     if (ignoreExpiration==true) return true;
-    return !this.tokenData.expires_in!=undefined && new Date() > this.tokenData._exp;
+    if (!this.tokenData._exp) return false;   // There is no expiration defined
+    // Refresh the token `refreshSkew` seconds before it expires, but not before the half of its lifetime
+    var skew = Math.min(this.oauth2.refreshSkew, (this.tokenData.expires_in || 0) / 2);
+    return new Date().getTime() > this.tokenData._exp.getTime() - skew * 1000;
   }
 
+  // Returns a promise with the `auth` option of the request with the access token.
+  // Only one request to get a new token is made at a time, concurrent calls share it
   _prepareOAuth2Token(ignoreExpiration) {
-    // TODO: Add support to pass client_id/client_secret as body argument instead
-    //       of a HTTP Authentication header
     var self = this;
-    if (!self.tokenData || (self._isTokenExpired(ignoreExpiration) && !self.tokenData.refresh_token)) {
-      // There is no token yet, or the token expired and there is no refresh_token
-      return self.oauth2._client.post(
-              self.oauth2.tokenEndpoint,
-              Object.assign({"grant_type": self.oauth2.grantType}, self.oauth2.user)
-        )
-        .then(tokenData => self._processToken(tokenData));
+    if (self._tokenOwner!==self) {
+      return self._tokenOwner._prepareOAuth2Token(ignoreExpiration);
+    }
+    if (self._tokenPromise) {
+      return self._tokenPromise;
+    }
+    if (self.tokenData && !self._isTokenExpired(ignoreExpiration)) {
+      // Return the valid token
+      return Promise.resolve({ "bearer": self.tokenData.access_token });
+    }
+    var done = () => { self._tokenPromise = null; };
+    self._tokenPromise = self._loadOAuth2Token()
+      .then(() => {
+        if (self.tokenData && !self._isTokenExpired(ignoreExpiration)) {
+          return { "bearer": self.tokenData.access_token };
+        }
+        if (self.tokenData && self.tokenData.refresh_token) {
+          // The token expired and there is a refresh_token
+          return self._requestOAuth2Token({"grant_type": "refresh_token", "refresh_token": self.tokenData.refresh_token})
+            .catch(err => {
+              if (!(err instanceof HttpError) || err.kind!="client" || self.oauth2.grantType=="authorization_code") {
+                throw err;
+              }
+              // The refresh token was rejected, login again
+              return self._requestOAuth2Token(self._oauth2GrantParams());
+            });
+        }
+        // There is no token yet, or the token expired and there is no refresh_token
+        if (self.oauth2.grantType=="authorization_code") {
+          throw new Error("There is no valid access token, the authorization code has to be exchanged " +
+                          "with `exchangeAuthorizationCode()` first");
+        }
+        return self._requestOAuth2Token(self._oauth2GrantParams());
+      })
+      .then(auth => {
+        done();
+        return auth;
+      }, err => {
+        done();
+        throw err;
+      });
+    return self._tokenPromise;
+  }
+
+  // The params sent to the token endpoint to get a token with the grant type configured
+  _oauth2GrantParams() {
+    var params = Object.assign({"grant_type": this.oauth2.grantType}, this.oauth2.user);
+    if (this.oauth2.scope) {
+      params["scope"] = this._formatScope(this.oauth2.scope);
     }
-    else if (self._isTokenExpired(ignoreExpiration) && self.tokenData.refresh_token) {
-      // The token expired and there is a refresh_token
-      return self.oauth2._client.post(
-              self.oauth2.tokenEndpoint,
-              {"grant_type": "refresh_token", "refresh_token": self.tokenData.refresh_token})
-        .then(tokenData => self._processToken(tokenData));
+    if (this.oauth2.audience) {
+      params["audience"] = this.oauth2.audience;
     }
-    // Return the valid token
-    return Promise.resolve({ "bearer": self.tokenData.access_token} );
+    return Object.assign(params, this.oauth2.params);
+  }
+
+  _formatScope(scope) {
+    return scope instanceof Array ? scope.join(" ") : scope;
+  }
+
+  // Request a token to the token endpoint, adding the
+  // client authentication params if they are sent in the body
+  _requestOAuth2Token(params) {
+    var self = this;
+    var body = Object.assign({}, params);
+    if (self.oauth2.clientAuth=="body") {
+      body["client_id"] = self.oauth2.clientId;
+      if (self.oauth2.clientSecret) {
+        body["client_secret"] = self.oauth2.clientSecret;
+      }
+    } else if (self.oauth2.clientAuth=="private_key_jwt") {
+      body["client_id"] = self.oauth2.clientId;
+      body["client_assertion_type"] = "urn:ietf:params:oauth:client-assertion-type:jwt-bearer";
+      body["client_assertion"] = self._createClientAssertion();
+    }
+    var startTime = new Date().getTime();
+    return self.oauth2._client.post(self.oauth2.tokenEndpoint, body)
+      .then(tokenData => self._processToken(tokenData))
+      .then(auth => {
+        self._emit('tokenRefresh', {
+          grantType: params["grant_type"],
+          url: self._oauth2Url(self.oauth2.tokenEndpoint),
+          expiresIn: self.tokenData.expires_in,
+          elapsedTime: new Date().getTime() - startTime
+        });
+        return auth;
+      });
+  }
+
+  // Creates the JWT used to authenticate the client with the `private_key_jwt` method
+  _createClientAssertion() {
+    var alg = this.oauth2.privateKeyAlg || "RS256";
+    var header = { "alg": alg, "typ": "JWT" };
+    if (this.oauth2.keyId) {
+      header["kid"] = this.oauth2.keyId;
+    }
+    var now = Math.floor(new Date().getTime() / 1000);
+    var claims = {
+      "iss": this.oauth2.clientId,
+      "sub": this.oauth2.clientId,
+      "aud": this._oauth2Url(this.oauth2.tokenEndpoint),
+      "jti": base64Url(crypto.randomBytes(16)),
+      "iat": now,
+      "exp": now + 60
+    };
+    var input = base64Url(Buffer.from(JSON.stringify(header))) + "." + base64Url(Buffer.from(JSON.stringify(claims)));
+    var key = { key: this.oauth2.privateKey };
+    if (alg.indexOf("ES")==0) {
+      key.dsaEncoding = "ieee-p1363";   // The signature format required by JWS
+    }
+    var signature = crypto.createSign("SHA" + alg.substr(2)).update(input).sign(key);
+    return input + "." + base64Url(signature);
+  }
+
+  // Full URL of an endpoint of the OAuth2 server
+  _oauth2Url(endpoint) {
+    if (endpoint.indexOf("http://")==0 || endpoint.indexOf("https://")==0) {
+      return endpoint;
+    }
+    return this.oauth2._client.baseUrl + endpoint;
+  }
+
+  // Load the token from the `oauth2.tokenStore`, if there is no token yet
+  _loadOAuth2Token() {
+    var self = this;
+    if (self.tokenData || !self.oauth2.tokenStore) {
+      return Promise.resolve();
+    }
+    return Promise.resolve(self.oauth2.tokenStore.get()).then(tokenData => {
+      if (tokenData && !self.tokenData) {
+        self.tokenData = Object.assign({}, tokenData);
+        if (self.tokenData._exp) {
+          self.tokenData._exp = new Date(self.tokenData._exp);
+        }
+      }
+    });
   }
 
   _processToken(tokenData) {
+    var self = this;
     if (typeof(tokenData) == 'string') {
       tokenData = JSON.parse(tokenData);
     }
-    if (tokenData.token_type && tokenData.token_type.toLowerCase()!="bearer") {
+    if (self.oauth2.tokenMapper) {
+      tokenData = self.oauth2.tokenMapper(tokenData);
+    } else if (tokenData.token_type && tokenData.token_type.toLowerCase()!="bearer") {
       throw new Error('Unknown token type "' + tokenData.token_type + '"');
     }
-    this.tokenData = tokenData;
-    if (this.tokenData.expires_in) {
-      this.tokenData._exp = new Date(new Date().getTime() + (this.tokenData.expires_in * 1000));
+    if (!tokenData.refresh_token && self.tokenData && self.tokenData.refresh_token) {
+      // The server may not return the refresh token when it's used, keep the previous one
+      tokenData.refresh_token = self.tokenData.refresh_token;
+    }
+    self.tokenData = tokenData;
+    if (self.tokenData.expires_in) {
+      self.tokenData._exp = new Date(new Date().getTime() + (self.tokenData.expires_in * 1000));
     }
-    return { "bearer": this.tokenData.access_token };
+    var auth = { "bearer": self.tokenData.access_token };
+    if (!self.oauth2.tokenStore) {
+      return auth;
+    }
+    return Promise.resolve()
+      .then(() => self.oauth2.tokenStore.set(self.tokenData))
+      .then(() => auth, err => {
+        self.logger.error("Error saving the OAuth2 token. %s", err);
+        return auth;
+      });
   }
 
   _doRequest(method, uri, data, options) {
     var self = this;
-    return self._prepareReqOptions(method, uri, data, options).then((reqOptions) => {
-      return new Promise((resolve, reject) => {
-        self._debugRequest(reqOptions, uri);
-        request(reqOptions, (error, httpResponse, body) => {
-          self._handleResponse(error, httpResponse, body,
+    var abortHandle = self._createAbortHandle(options);
+    return self._abortable(self._prepareReqOptions(method, uri, data, options), abortHandle, method, uri)
+    .then((reqOptions) => {
+      var retry = self._prepareRetryOptions(method, options);
+      var requestId = (options && options.requestId) || crypto.randomBytes(8).toString("hex");
+      var doAttempt = attempt => {
+        var context = {client: self, method: method, uri: uri, data: data, options: options, attempt: attempt,
+                       startTime: new Date().getTime(), abortHandle: abortHandle, requestId: requestId};
+        return self._sendRequest(reqOptions, context).then(result => new Promise((resolve, reject) => {
+          var delay = self._getRetryDelay(retry, attempt, result.error, result.response);
+          if (delay!=undefined) {
+            if (result.error) {
+              self._debugRetryError(result.error, reqOptions, context);
+            } else {
+              self._debugResponse(result.response, result.response.body, reqOptions, context);
+            }
+            self._debugRetry(reqOptions, context, attempt + 1, retry.maxAttempts, delay);
+            self._emit('retry', Object.assign(self._eventInfo(reqOptions, context), {
+              attempt: attempt + 1, maxAttempts: retry.maxAttempts, delay: delay,
+              statusCode: result.response ? result.response.statusCode : undefined, error: result.error
+            }));
+            var timer = setTimeout(() => resolve(doAttempt(attempt + 1)), delay);
+            return abortHandle.onAbort(() => {
+              clearTimeout(timer);
+              reject(new AbortError(method, reqOptions.url));
+            });
+          }
+          self._handleResponse(result.error, result.response, result.response && result.response.body,
                                method, uri, data, reqOptions,
-                               resolve, reject);
-        });
+                               resolve, reject, false, context);
+        }));
+      };
+      return doAttempt(1);
+    })
+    .then(result => {
+      abortHandle.dispose();
+      return result;
+    }, err => {
+      abortHandle.dispose();
+      throw err;
+    });
+  }
+
+  // Creates the handle that tracks the cancellation of a call, aborted
+  // with the `signal` option (an `AbortSignal` object) or with `abortAll()`
+  _createAbortHandle(options) {
+    var self = this;
+    var signal = options && options.signal;
+    var listeners = [];
+    var handle = {
+      aborted: !!(signal && signal.aborted),
+      abort: () => {
+        if (handle.aborted) return;
+        handle.aborted = true;
+        handle.dispose();
+        listeners.forEach(listener => listener());
+      },
+      // Calls `listener` when the call is aborted
+      onAbort: listener => {
+        if (handle.aborted) {
+          listener();
+        } else {
+          listeners.push(listener);
+        }
+      },
+      dispose: () => {
+        self._activeCalls.delete(handle);
+        if (signal && !handle.aborted) {
+          signal.removeEventListener('abort', handle.abort);
+        }
+      }
+    };
+    if (!handle.aborted) {
+      self._activeCalls.add(handle);
+      if (signal) {
+        signal.addEventListener('abort', handle.abort);
+      }
+    }
+    return handle;
+  }
+
+  // Returns a promise resolved as `promise`, or rejected
+  // with an `AbortError` if the call is aborted first
+  _abortable(promise, abortHandle, method, uri) {
+    var self = this;
+    return new Promise((resolve, reject) => {
+      promise.then(resolve, reject);
+      abortHandle.onAbort(() => reject(new AbortError(method, self._fullUrl(self._parseUri(uri)))));
+    });
+  }
+
+  // Sends the request with a copy of `reqOptions` through the interceptors.
+  // The promise returned is always resolved with an object containing
+  // the `error` or the `response` obtained
+  _sendRequest(reqOptions, context) {
+    var self = this;
+    var options = Object.assign({}, reqOptions);
+    if (options.headers) {
+      options.headers = Object.assign({}, options.headers);
+    }
+    return self.interceptors.reduce((promise, interceptor) => promise.then(result => {
+      if (result.response || !interceptor.request) {
+        return result;
+      }
+      return Promise.resolve(interceptor.request(result.options, context)).then(value => {
+        if (value && value.statusCode!=undefined) {
+          // Short-circuit with a synthetic response
+          return { options: result.options, response: Object.assign({headers: {}}, value) };
+        }
+        return { options: value || result.options };
       });
+    }), Promise.resolve({ options: options }))
+    .then(result => {
+      if (result.response) {
+        return result;
+      }
+      var circuitKey = self.circuitBreaker ? self.circuitBreaker.key(result.options.url) : undefined;
+      if (self.circuitBreaker && !self.circuitBreaker.acquire(circuitKey, self._onCircuitStateChange)) {
+        // Fails fast without sending the request
+        var state = self.circuitBreaker.state(circuitKey);
+        return { options: result.options,
+                 error: new CircuitOpenError(result.options.method, result.options.url, circuitKey, state.retryIn) };
+      }
+      return self._acquireLimiter(result.options, context).catch(err => {
+        if (circuitKey!=undefined) self.circuitBreaker.release(circuitKey, undefined, self._onCircuitStateChange);
+        throw err;
+      }).then(release => new Promise(resolve => {
+        var sentTime;
+        var done = value => {
+          release(value.response);
+          if (circuitKey!=undefined) {
+            self.circuitBreaker.release(circuitKey, self.circuitBreaker.isFailure(value.error, value.response),
+                                        self._onCircuitStateChange);
+            circuitKey = undefined;
+          }
+          if (sentTime!=undefined) {
+            self._emitResult(value, result.options, context, sentTime);
+            sentTime = undefined;
+          }
+          resolve(value);
+        };
+        var abortHandle = context.abortHandle;
+        if (abortHandle && abortHandle.aborted) {
+          return done({ error: new AbortError(result.options.method, result.options.url) });
+        }
+        self._debugRequest(result.options, context);
+        self._emit('request', Object.assign(self._eventInfo(result.options, context), {headers: result.options.headers}));
+        sentTime = new Date().getTime();
+        var req = self._transport(result.options, (error, httpResponse) => {
+          done(error ? { error: error } : { response: httpResponse });
+        });
+        self._setConnectTimeout(req, result.options, error => {
+          req.abort();
+          done({ error: error });
+        });
+        if (abortHandle) {
+          abortHandle.onAbort(() => {
+            req.abort();
+            done({ error: new AbortError(result.options.method, result.options.url) });
+          });
+        }
+      }), error => ({ error: error }));
+    }, error => ({ error: error }))
+    .then(result => self._interceptResponse(result, context));
+  }
+
+  // Logs and emits the changes of state of the circuits of the `circuitBreaker`
+  _circuitStateChange(host, state, previousState) {
+    this._debugCircuit(host, state, previousState);
+    this._emit('circuitStateChange', { host: host, state: state, previousState: previousState });
+  }
+
+  // Emits the event if there are listeners, the errors thrown by the listeners are logged
+  _emit(event, info) {
+    if (this.listenerCount(event)==0) {
+      return;
+    }
+    try {
+      this.emit(event, info);
+    } catch (err) {
+      this.logger.error('Error in a listener of the "%s" event. %s', event, err);
+    }
+  }
+
+  // The fields of the events that identify the request: the `id` of the call (the same in all
+  // the attempts), `method`, `url`, `attempt`, and the `traceId` and `spanId` if it's traced
+  _eventInfo(reqOptions, context) {
+    var headers = reqOptions.headers || {};
+    var trace = parseTraceparent(headers[findHeader(headers, "traceparent")]);
+    return {
+      id: context.requestId,
+      method: reqOptions.method,
+      url: reqOptions.url,
+      attempt: context.attempt,
+      traceId: trace ? trace.traceId : undefined,
+      spanId: trace ? trace.spanId : undefined
+    };
+  }
+
+  // Emits the `response` event with the status, timings and sizes of the response
+  // received (`result.size` is the size of the body if it was streamed), or the
+  // `error` event if the request failed without response
+  _emitResult(result, reqOptions, context, sentTime) {
+    var info = this._eventInfo(reqOptions, context);
+    var elapsedTime = new Date().getTime() - sentTime;
+    if (result.error) {
+      info.error = result.error;
+      info.timings = { queue: context.queueTime || 0, total: elapsedTime };
+      return this._emit('error', info);
+    }
+    var httpResponse = result.response;
+    var phases = httpResponse.timingPhases;
+    info.statusCode = httpResponse.statusCode;
+    info.timings = phases ? {
+      queue: context.queueTime || 0,
+      dns: phases.dns,
+      connect: phases.tcp,
+      ttfb: phases.total - phases.download,
+      download: phases.download,
+      total: phases.total
+    } : { queue: context.queueTime || 0, total: elapsedTime };
+    var sent = httpResponse.request && httpResponse.request.body!=undefined ? httpResponse.request.body : reqOptions.body;
+    info.requestSize = typeof(sent)=='string' || Buffer.isBuffer(sent) ? Buffer.byteLength(sent) : undefined;
+    var body = httpResponse.body;
+    var contentLength = httpResponse.headers && httpResponse.headers['content-length'];
+    info.responseSize = result.size!=undefined ? result.size
+                      : typeof(body)=='string' || Buffer.isBuffer(body) ? Buffer.byteLength(body)
+                      : contentLength!=undefined ? parseInt(contentLength, 10) : undefined;
+    this._emit('response', info);
+  }
+
+  // Waits for a slot of the rate limiter if `rateLimit` or `maxConcurrent` are set,
+  // resolving with the function to call when the request finishes. Rejected with a
+  // `QueueFullError` if the queue is full, or an `AbortError` if the call is aborted
+  _acquireLimiter(reqOptions, context) {
+    var self = this;
+    if (!self.limiter) {
+      return Promise.resolve(() => {});
+    }
+    var key = self.limiter.key(reqOptions.url);
+    if (self.limiter.isFull(key)) {
+      return Promise.reject(new QueueFullError(reqOptions.method, reqOptions.url, self.limiter.maxQueue));
+    }
+    var queuedTime = new Date().getTime();
+    var ticket = self.limiter.acquire(key, context.options && context.options.priority);
+    if (context.abortHandle) {
+      context.abortHandle.onAbort(() => ticket.cancel(new AbortError(reqOptions.method, reqOptions.url)));
+    }
+    return ticket.promise.then(release => {
+      context.queueTime = ticket.queued ? new Date().getTime() - queuedTime : 0;
+      self._debugQueue(reqOptions, context);
+      return release;
+    });
+  }
+
+  // Makes the HTTP request with the `transport`
+  _transport(reqOptions, callback) {
+    return transport.send(this.transport, reqOptions, callback);
+  }
+
+  // If the `connectTimeout` option is set, calls `onTimeout` with an `ETIMEDOUT`
+  // error when the connection is not established in that time
+  _setConnectTimeout(req, reqOptions, onTimeout) {
+    if (!reqOptions.connectTimeout) {
+      return;
+    }
+    req.on('socket', socket => {
+      if (!socket.connecting) {
+        return;   // Socket reused from the pool, already connected
+      }
+      var timer = setTimeout(() => {
+        var error = new Error("Connection timed out after " + reqOptions.connectTimeout + " ms");
+        error.code = 'ETIMEDOUT';
+        error.connect = true;
+        onTimeout(error);
+      }, reqOptions.connectTimeout);
+      socket.once('connect', () => clearTimeout(timer));
+      req.once('error', () => clearTimeout(timer));
+      req.once('abort', () => clearTimeout(timer));
     });
   }
 
+  // Apply the `response` and `error` interceptors
+  // to the result obtained from `_sendRequest()`
+  _interceptResponse(result, context) {
+    return this.interceptors.reduce((promise, interceptor) => promise.then(result => {
+      var handler = result.error ? interceptor.error : interceptor.response;
+      if (!handler) {
+        return result;
+      }
+      return Promise.resolve()
+        .then(() => handler.call(interceptor, result.error || result.response, context))
+        .then(value => {
+          if (value && value.statusCode!=undefined) {
+            return { response: Object.assign({headers: {}}, value) };
+          }
+          return result.error ? result : { response: value || result.response };
+        }, error => ({ error: error }));
+    }), Promise.resolve(result));
+  }
+
+  // Merge the retry options `value` (`true`, a number
+  // with the max attempts or an object) with `base`
+  _mergeRetryOptions(base, value) {
+    if (value===true) {
+      return Object.assign({}, base);
+    }
+    if (typeof(value)=='number') {
+      return Object.assign({}, base, {maxAttempts: value});
+    }
+    return Object.assign({}, base, value);
+  }
+
+  // Returns the retry options for the call, or `null`
+  // if the request should not be retried
+  _prepareRetryOptions(method, options) {
+    var retry = this.retry;
+    if (options && options.retry!=undefined) {
+      if (options.retry===false) {
+        return null;
+      }
+      retry = this._mergeRetryOptions(retry || RETRY_DEFAULTS, options.retry);
+    }
+    if (!retry || retry.maxAttempts <= 1 || retry.methods.indexOf(method)<0) {
+      return null;
+    }
+    return retry;
+  }
+
+  // Returns the milliseconds to wait before the next attempt,
+  // or `undefined` if the request can't be retried
+  _getRetryDelay(retry, attempt, error, httpResponse) {
+    if (!retry || attempt >= retry.maxAttempts) {
+      return undefined;
+    }
+    if (error) {
+      if (retry.errorCodes.indexOf(error.code)<0) {
+        return undefined;
+      }
+    } else if (retry.statusCodes.indexOf(httpResponse.statusCode)<0) {
+      return undefined;
+    }
+    if (retry.retryAfter && httpResponse && httpResponse.headers["retry-after"]) {
+      var retryAfter = this._parseRetryAfter(httpResponse.headers["retry-after"]);
+      if (retryAfter!=undefined) {
+        return retryAfter <= retry.maxDelay ? retryAfter : undefined;
+      }
+    }
+    var delay = Math.min(retry.maxDelay, retry.minDelay * Math.pow(retry.factor, attempt - 1));
+    if (retry.jitter) {
+      delay = delay / 2 + Math.random() * delay / 2;
+    }
+    return Math.round(delay);
+  }
+
+  // Parse the `Retry-After` header value, that can be the seconds
+  // to wait or an HTTP date, and returns the value in milliseconds
+  _parseRetryAfter(value) {
+    if (/^\s*\d+\s*$/.test(value)) {
+      return parseInt(value, 10) * 1000;
+    }
+    var date = Date.parse(value);
+    if (isNaN(date)) {
+      return undefined;
+    }
+    return Math.max(0, date - new Date().getTime());
+  }
+
   _handleResponse(error, httpResponse, body,      // Response
                   method, uri, data, reqOptions,  // Input given
                   resolve, reject,                // Resolvers
-                  ignoreAuthError)                // Ignore 'WWW-Authenticate' header ¿?
+                  ignoreAuthError,                // Ignore 'WWW-Authenticate' header ¿?
+                  context)                        // Context given to the interceptors
   {
     var self = this;
     if (error) {
-      return self._handleError(error, uri, reqOptions, reject); // Fatal client or server error (unreachable server, time out...)
+      return self._handleError(error, uri, reqOptions, reject, context); // Fatal client or server error (unreachable server, time out...)
     }
-    self._debugResponse(uri, httpResponse.statusCode, body);
+    self._debugResponse(httpResponse, body, reqOptions, context);
     if (httpResponse.statusCode < 400) {
       return resolve(self._prepareResponseBody(body, httpResponse, reqOptions));      // Successful request
     }
@@ -276,36 +1657,79 @@ class RequestClient {
                       && httpResponse.headers["www-authenticate"].toLowerCase().indexOf("bearer")==0) {
 
       if (ignoreAuthError) {
-        return reject(self._prepareResponseBody(body, httpResponse, reqOptions));
+        return reject(self._prepareErrorResponse(body, httpResponse, reqOptions, context));
+      }
+      var tokenPromise = self._prepareOAuth2Token(true);
+      if (context.abortHandle) {
+        tokenPromise = self._abortable(tokenPromise, context.abortHandle, method, uri);
       }
       return resolve(
-        self._prepareOAuth2Token(true)
+        tokenPromise
           .then(token => {
             reqOptions.auth = token;
-            self._debugRequest(reqOptions, uri);
-            request(reqOptions, (error, httpResponse, body) => {
-              self._handleResponse(error, httpResponse, body,
-                                   method, uri, data, reqOptions,
-                                   resolve, reject, true);
-            });
+            return self._sendRequest(reqOptions, context);
           })
+          .then(result => new Promise((resolve, reject) => {
+            self._handleResponse(result.error, result.response, result.response && result.response.body,
+                                 method, uri, data, reqOptions,
+                                 resolve, reject, true, context);
+          }))
       );
     }
-    return reject(self._prepareResponseBody(body, httpResponse, reqOptions));     // The server response has status error, due mostly by a wrong client request
+    return reject(self._prepareErrorResponse(body, httpResponse, reqOptions, context));     // The server response has status error, due mostly by a wrong client request
+  }
+
+  // Returns the object used to reject a response with HTTP status error: an `HttpError`,
+  // or the response body (or the full response) if the `legacyErrors` option is set
+  _prepareErrorResponse(body, httpResponse, reqOptions, context) {
+    if (reqOptions.legacyErrors) {
+      return this._prepareResponseBody(body, httpResponse, reqOptions);
+    }
+    var parsedBody = this._prepareResponseBody(body, httpResponse, Object.assign({}, reqOptions, {fullResponse: false}));
+    return new HttpError(httpResponse, parsedBody, reqOptions.method, reqOptions.url,
+                         new Date().getTime() - context.startTime);
   }
 
-  // If the response body is a JSON -> parse it to return as a JSON object.
+  // Parse the response body with the parser of its content type, eg. a JSON -> a JSON object.
   _prepareResponseBody(body, httpResponse, reqOptions) {
     if (reqOptions.fullResponse) {
       return httpResponse;
     } else {
-      try {
-        if (typeof body == "string" &&
-          ( this.contentType == 'json' ||
-          (httpResponse && httpResponse.headers['content-type'].indexOf("application/json") >= 0) )) {
-          body = JSON.parse(body);
-        }
-      } catch (err) {
+      return this._decodeBody(body, httpResponse, false);
+    }
+  }
+
+  // Decodes the body with the parser of the `Content-Type` of the response, or of the
+  // `Accept` header if the response has no content type (or there is no parser for it,
+  // in that case the body is returned as it is if it can't be parsed). In strict mode,
+  // the errors of the parser of the response content type are thrown
+  _decodeBody(body, httpResponse, strict) {
+    if (typeof(body)!='string' && !Buffer.isBuffer(body)) {
+      return body;    // Already parsed, or empty
+    }
+    var headers = (httpResponse && httpResponse.headers) || {};
+    var contentType = headers['content-type'];
+    var serializer = this.serializers.find(contentType);
+    var fallback = false;
+    if (!serializer) {
+      var accept = httpResponse && httpResponse.request && httpResponse.request.headers
+                 ? httpResponse.request.headers[findHeader(httpResponse.request.headers, "Accept")]
+                 : this._defaultAccept();
+      serializer = accept ? this.serializers.find(String(accept).split(",")[0]) : undefined;
+      fallback = true;
+    }
+    if (Buffer.isBuffer(body) && !(serializer && serializer.binary)) {
+      var charset = serializers.Serializers.charset(contentType);
+      body = body.toString(charset && Buffer.isEncoding(charset) ? charset : "utf8");
+    }
+    if (!serializer || !serializer.parse || body.length==0) {
+      return body;
+    }
+    try {
+      return serializer.parse(body);
+    } catch (err) {
+      if (strict && !fallback) {
+        throw err;
       }
       return body;
     }
@@ -317,12 +1741,7 @@ class RequestClient {
     return new Promise(resolve => {
       var reqOptions = {};
       reqOptions.method = method;
-      var parsedUri = self._parseUri(uri, options);
-      if (parsedUri.indexOf("http://") == 0 || parsedUri.indexOf("https://") == 0) {
-        reqOptions["url"] = parsedUri;
-      } else {
-        reqOptions["url"] = self.baseUrl + parsedUri;
-      }
+      reqOptions["url"] = self._fullUrl(self._parseUri(uri, options));
       for (var k in self.requestOptions) {
         reqOptions[k] = self.requestOptions[k];
       }
@@ -333,21 +1752,25 @@ class RequestClient {
           reqOptions["headers"] = Object.assign({}, self.headers);
         }
       }
+      self._prepareAccept(reqOptions, options);
       if (data!=undefined) {
-        if ("headers" in reqOptions && reqOptions["headers"]["Content-Type"] == "multipart/form-data") {
-          reqOptions["formData"] = data;
-        }
-        else if ("headers" in reqOptions && reqOptions["headers"]["Content-Type"] == "application/x-www-form-urlencoded") {
-          reqOptions["form"] = data;
-        } else {
-          reqOptions[self.contentType] = data;
-        }
+        self._serializeBody(reqOptions, data, options);
       }
       if (options && options.timeout) {
         reqOptions["timeout"] = options.timeout
       } else if (self.timeout) {
         reqOptions["timeout"] = self.timeout
       }
+      if (options && options.readTimeout) {
+        reqOptions["timeout"] = options.readTimeout;
+      } else if (self.readTimeout && !(options && options.timeout)) {
+        reqOptions["timeout"] = self.readTimeout;
+      }
+      if (options && options.connectTimeout) {
+        reqOptions["connectTimeout"] = options.connectTimeout;
+      } else if (self.connectTimeout) {
+        reqOptions["connectTimeout"] = self.connectTimeout;
+      }
       if (options && options.auth) {
         reqOptions["auth"] = options.auth
       } else if (self.auth) {
@@ -383,6 +1806,17 @@ class RequestClient {
       } else {
         reqOptions["fullResponse"] = self.fullResponse;
       }
+      if (options && options.legacyErrors!=undefined) {
+        reqOptions["legacyErrors"] = options.legacyErrors;
+      } else {
+        reqOptions["legacyErrors"] = self.legacyErrors;
+      }
+      var jar = options && options.cookies!=undefined ? options.cookies : self.cookies;
+      if (jar) {
+        reqOptions["jar"] = jar===true ? self.cookies : jar;
+      }
+      reqOptions["time"] = true;    // Timings of the response used in the events
+      self._prepareTraceparent(reqOptions, options);
       if (options && options.requestOptions) {
         for (var k in options.requestOptions) {
           reqOptions[k] = options.requestOptions[k];
@@ -401,6 +1835,101 @@ class RequestClient {
     });
   }
 
+  // Sets the body of the request options with the serializer of the content type: the `Content-Type`
+  // header, or the `contentType` option. Buffers and streams are sent as they are
+  _serializeBody(reqOptions, data, options) {
+    var headers = reqOptions["headers"] = reqOptions["headers"] || {};
+    var header = findHeader(headers, "Content-Type");
+    var contentType = header ? headers[header]
+                    : (options && options.contentType) || this.contentType;
+    var mediaType = serializers.Serializers.mediaType(contentType);
+    var serializer = this.serializers.find(mediaType) || {};
+    if (serializer.requestOption) {
+      if (serializer.requestOption=="formData" && header) {
+        delete headers[header];   // Set by the transport with the multipart boundary
+      }
+      reqOptions[serializer.requestOption] = data;
+      return;
+    }
+    if (!header) {
+      headers["Content-Type"] = mediaType;
+    }
+    if (Buffer.isBuffer(data) || typeof(data.pipe)=='function') {
+      reqOptions["body"] = data;
+    } else if (serializer.serialize) {
+      reqOptions["body"] = serializer.serialize(data);
+    } else if (typeof(data)=='string') {
+      reqOptions["body"] = data;
+    } else {
+      throw new Error("There is no serializer for the content type \"" + mediaType + "\"");
+    }
+  }
+
+  // Sets the `Accept` header with the `accept` option (if the header is not set), and
+  // requests the body as a `Buffer` if the media type accepted is binary
+  _prepareAccept(reqOptions, options) {
+    var accept = options && options.accept!=undefined ? options.accept : this._defaultAccept(options);
+    var headers = reqOptions["headers"] || {};
+    var header = findHeader(headers, "Accept");
+    if (!accept && !header) {
+      return;
+    }
+    if (!header) {
+      reqOptions["headers"] = Object.assign(headers, {"Accept": serializers.Serializers.mediaType(accept)});
+      header = "Accept";
+    }
+    var serializer = this.serializers.find(reqOptions["headers"][header].split(",")[0]);
+    if (serializer && serializer.binary) {
+      reqOptions["encoding"] = null;
+    }
+  }
+
+  // The media type accepted by default: the `accept` option of the client, or the content type
+  // of the requests, unless it's a form (the responses are usually JSON)
+  _defaultAccept(options) {
+    if (this.accept!=undefined) {
+      return this.accept;
+    }
+    var contentType = (options && options.contentType) || this.contentType;
+    var serializer = this.serializers.find(contentType);
+    return serializer && serializer.requestOption ? "json" : contentType;
+  }
+
+  // Sets the `traceparent` header (if it's not set) with a new span of the trace
+  // given in the `traceparent` option, or of a new trace
+  _prepareTraceparent(reqOptions, options) {
+    var traceparent = options && options.traceparent!=undefined ? options.traceparent : this.traceparent;
+    var headers = reqOptions["headers"] || {};
+    if (!traceparent || findHeader(headers, "traceparent")) {
+      return;
+    }
+    var parent = parseTraceparent(typeof(traceparent)=='function' ? traceparent() : traceparent);
+    var traceId = parent ? parent.traceId : crypto.randomBytes(16).toString("hex");
+    var flags = parent ? parent.flags : "01";
+    reqOptions["headers"] = Object.assign(headers, {
+      "traceparent": "00-" + traceId + "-" + crypto.randomBytes(8).toString("hex") + "-" + flags
+    });
+  }
+
+  // The full URL of the parsed URI, with the base URL if it's not an absolute URL
+  _fullUrl(parsedUri) {
+    if (parsedUri.indexOf("http://") == 0 || parsedUri.indexOf("https://") == 0) {
+      return parsedUri;
+    }
+    return this.baseUrl + parsedUri;
+  }
+
+  // Throws an error if the `uri` is an object with
+  // parameters of the URI template without value
+  _checkUriParams(uri, options) {
+    if (typeof(uri)=='object') {
+      var missing = this._parseUri(uri, options).split("?")[0].match(/\{[A-Za-z_$][\w$.-]*\}/g);
+      if (missing) {
+        throw new Error("Missing URI parameters " + missing.join(", ") + " in \"" + uri["uri"] + "\"");
+      }
+    }
+  }
+
   // If the `uri` is an object like `{ "uri": "users/{id}", "params": {"id": 1234}, "query": {"summarize": true, "info": "sales"} }`,
   // parse it as a full URI string: "users/1234?summarize=true&info=sales"
   _parseUri(uri, options) {
@@ -421,134 +1950,415 @@ class RequestClient {
         }
       }
       if ("params" in uri && uri["params"]) {
+        var encodeParams = options!=undefined && options.encodeParams!=undefined ? options.encodeParams : this.encodeParams;
         for (var k in uri["params"]) {
-          uriOpt["uri"] = uriOpt["uri"].replace("{"+k+"}", uri["params"][k]);
+          var param = uri["params"][k];
+          if (param!=undefined) {
+            uriOpt["uri"] = uriOpt["uri"].split("{"+k+"}").join(encodeParams!==false ? encodeURIComponent(param) : param);
+          }
         }
       }
       uriOpt = uriOpt["uri"];
-      if (query.length>0) uriOpt += "?" + query.join("&");
+      if (query.length>0) uriOpt += (uriOpt.indexOf("?")<0 ? "?" : "&") + query.join("&");
     }
     return uriOpt;
   }
 
-  // Debug request in cURL format
-  _debugRequest(options, uri) {
-    if (this.debugRequest) {
-      var curl = options.url;
-      if (curl.indexOf('&')>0 || curl.indexOf(' ')>0) {
-        curl = '"' + curl + '"';
-      }
-      if (options.method != 'GET') {
-        curl = '-X ' + options.method + ' ' + curl;
-      }
-      if (options.auth) {
-        if (options.auth.user || options.auth.username) {
-          curl += " -u ${CLIENT_ID}:${CLIENT_SECRET}";
-        } else if (options.auth.bearer) {
-          curl += ' -H "Authorization: Bearer ${ACCESS_TOKEN}"';
-        }
-      }
-      if (options[this.contentType] || options["formData"] || options["form"]) {
-        var data = options[this.contentType] || options["formData"] || options["form"];
-        if (options["formData"] || options["form"]) {
-          var quote = "'";
-          for (k in data) {
-            var v = data[k];
-            if (v == null || v == undefined) {
-              v = "";
-            } else if (v instanceof ReadStream) {
-              quote = '"';
-              v = "@" + v.path;
-            } else if (typeof(v) != 'string') {
-              v = v.toString();
-            } else if (["password","client_secret","access_token","refresh_token"].indexOf(k)>=0) {
-              quote = '"';
-              v = "${" + k.toUpperCase() + "}"; // hide sensitive data
-            }
-            curl += options["formData"] ? " -F " : " -d ";
-            curl += quote + k + "=" + v + quote;
-          }
-        } else {
-          if (typeof(data) != 'string' && this.contentType == "json") {
-            data = JSON.stringify(data);
-          }
-          curl += " -d '" + data + "'";
-        }
-      }
-      for (var k in options["headers"]) {
-        curl += " -H '" + k + ":" + options["headers"][k] + "'";
-      }
-      if ((!options["headers"] || !options["headers"]["Content-Type"])
-            && this.contentType=="json" && options.method != 'GET' && options.method != 'DELETE'
-            && data!=undefined && data!=null) {
-        curl += ' -H Content-Type:application/json'
-      }
-      if (options.timeout) {
-        curl += ' --connect-timeout ' + (options.timeout / 1000.0); // ms to sec
-      }
-      if (typeof(uri)!='string') {
-        uri = uri["uri"];
-      }
-      this.logger.info("[Requesting %s]-> %s", uri, curl);
+  // Debug request in cURL format, or as a JSON entry with the `log.format` "json"
+  _debugRequest(reqOptions, context) {
+    if (!this.debugRequest) {
+      return;
     }
+    var level = this._logLevel("request", "info");
+    if (this.logOptions.format=="json") {
+      var masked = exporter.maskRequest(reqOptions, this.logOptions);
+      return this._logEntry(level, Object.assign(this._logInfo("request", reqOptions, context), {
+        headers: masked.headers,
+        body: truncate(masked.body, this.logOptions.maxBodyLength)
+      }));
+    }
+    this._log(level, "[Requesting %s]-> %s", this._debugUri(context.uri, context.attempt),
+              exporter.toCurl(reqOptions, this.logOptions));
   }
 
-  // Debug response status and body
-  _debugResponse(uri, status, body) {
-    if (this.debugResponse) {
-      if (body==undefined) {
-        body = "";
-      } else if (typeof(body)!='string') {
-        body = JSON.stringify(body);
-      }
-      if (status<400) {
-        this.logger.info("[Response   %s]<- Status %s - %s", typeof(uri) == 'string' ? uri : uri['uri'], status, body);
-      } else {
-        this.logger.error("[Response   %s]<- Status %s - %s", typeof(uri) == 'string' ? uri : uri['uri'], status, body);
-      }
+  // Debug the time a request waited in the queue of the rate limiter
+  _debugQueue(reqOptions, context) {
+    if (!this.debugRequest || !(context.queueTime > 0)) {
+      return;
     }
+    if (this.logOptions.format=="json") {
+      return this._logEntry("info", Object.assign(this._logInfo("queue", reqOptions, context), {
+        duration: context.queueTime
+      }));
+    }
+    this.logger.info("[Queued     %s]-> Waited %s ms in the queue",
+                     this._debugUri(context.uri, context.attempt), context.queueTime);
   }
 
-  // Debug response cache
-  _debugCacheResponse(uri, body) {
-    if (this.debugResponse) {
-      this.logger.info("[Response   %s]<- Returning from cache", typeof(uri) == 'string' ? uri : uri['uri']);
+  // Debug response status and body, masked and truncated
+  _debugResponse(httpResponse, body, reqOptions, context) {
+    if (!this.debugResponse) {
+      return;
+    }
+    var status = httpResponse.statusCode;
+    var level = this._logLevel(status, status<400 ? "info" : "error");
+    var masked = exporter.maskResponse({
+      statusCode: status,
+      headers: httpResponse.headers,
+      body: Buffer.isBuffer(body) ? "<" + body.length + " bytes>" : body
+    }, this.logOptions);
+    body = truncate(masked.body, this.logOptions.maxBodyLength);
+    if (this.logOptions.format=="json") {
+      var duration = httpResponse.elapsedTime!=undefined ? httpResponse.elapsedTime
+                   : new Date().getTime() - context.startTime;
+      return this._logEntry(level, Object.assign(this._logInfo("response", reqOptions, context), {
+        status: status,
+        duration: duration,
+        headers: masked.headers,
+        body: body
+      }));
     }
+    this._log(level, "[Response   %s]<- Status %s - %s", this._debugUri(context.uri, context.attempt), status, body);
+  }
+
+  // Debug a connection error that is going to be retried
+  _debugRetryError(error, reqOptions, context) {
+    if (!this.debugResponse) {
+      return;
+    }
+    var level = this._logLevel("error", "error");
+    if (this.logOptions.format=="json") {
+      return this._logEntry(level, Object.assign(this._logInfo("error", reqOptions, context), {
+        error: String(error)
+      }));
+    }
+    this._log(level, "[Response   %s]<- %s", this._debugUri(context.uri, context.attempt), error);
+  }
+
+  // Debug the next attempt of a request
+  _debugRetry(reqOptions, context, attempt, maxAttempts, delay) {
+    if (!this.debugRequest && !this.debugResponse) {
+      return;
+    }
+    if (this.logOptions.format=="json") {
+      return this._logEntry("info", Object.assign(this._logInfo("retry", reqOptions, context), {
+        attempt: attempt, maxAttempts: maxAttempts, delay: delay
+      }));
+    }
+    this.logger.info("[Retrying   %s]-> Attempt %s of %s in %s ms", this._debugUri(context.uri), attempt, maxAttempts, delay);
+  }
+
+  // URI used in the logs, with the attempt number when the request is retried
+  _debugUri(uri, attempt) {
+    if (typeof(uri)!='string') {
+      uri = uri["uri"];
+    }
+    return attempt > 1 ? uri + " #" + attempt : uri;
+  }
+
+  // Debug request that shares the response with a request in flight
+  _debugDedupe(uri, url) {
+    if (!this.debugRequest) {
+      return;
+    }
+    if (this.logOptions.format=="json") {
+      return this._logEntry("info", { type: "dedupe", method: "GET", url: exporter.maskUrl(url, this.logOptions) });
+    }
+    this.logger.info("[Requesting %s]-> Sharing the response of the same request in flight", this._debugUri(uri));
+  }
+
+  // Debug response cache, `stale` is the reason a stale response is returned
+  _debugCacheResponse(uri, url, stale) {
+    if (!this.debugResponse) {
+      return;
+    }
+    if (this.logOptions.format=="json") {
+      return this._logEntry("info", { type: "cache", method: "GET", url: exporter.maskUrl(url, this.logOptions),
+                                      stale: !!stale });
+    }
+    this.logger.info("[Response   %s]<- Returning from cache%s", this._debugUri(uri), stale ? " (" + stale + ")" : "");
+  }
+
+  // Debug the change of state of the circuit of a host
+  _debugCircuit(host, state, previousState) {
+    if (!this.debugRequest && !this.debugResponse) {
+      return;
+    }
+    var level = state=="open" ? this._logLevel("error", "error") : "info";
+    if (this.logOptions.format=="json") {
+      return this._logEntry(level, { type: "circuit", host: host, state: state, previousState: previousState });
+    }
+    this._log(level, "[Circuit    %s]<- Changed from %s to %s", host, previousState, state);
   }
 
   // Handle the unexpected errors
-  _handleError(error, uri, options, reject) {
-    if (['ETIMEDOUT','ECONNREFUSED','ENOTFOUND'].indexOf(error.code)>=0) {
-      if (typeof(uri)!='string') {
-        uri = uri["uri"];
+  _handleError(error, uri, options, reject, context) {
+    if (['ETIMEDOUT','ESOCKETTIMEDOUT','ECONNREFUSED','ECONNRESET','ENOTFOUND','EAI_AGAIN'].indexOf(error.code)>=0) {
+      var level = this._logLevel("error", "error");
+      if (this.logOptions.format=="json") {
+        this._logEntry(level, Object.assign(this._logInfo("error", options, context || {uri: uri}), {
+          error: String(error)
+        }));
+      } else {
+        this._log(level, "[Error      %s]<- Doing %s to %s. %s", this._debugUri(uri), options.method,
+                  exporter.maskUrl(options.url, this.logOptions), error);
       }
-      this.logger.error("[Error      %s]<- Doing %s to %s. %s", uri, options.method, options.url, error);
-      reject(new ConnectionError("Connection error", error));
+      reject(new ConnectionError("Connection error", error, options.method, options.url));
     } else {
       reject(error);
     }
   }
 
-  // Creates the `_cache` object that manage the cache
+  // The level of the logs of the `key`: a status code, "request" or "error".
+  // The levels of the status codes can be set by code ("404") or class ("4xx")
+  _logLevel(key, defaultLevel) {
+    var levels = this.logOptions.levels || {};
+    if (typeof(key)=='number') {
+      return levels[String(key)] || levels[Math.floor(key / 100) + "xx"] || defaultLevel;
+    }
+    return levels[key] || defaultLevel;
+  }
+
+  // Logs with the method of the logger of the level, or `info` if the logger doesn't have it
+  _log(level) {
+    var args = Array.prototype.slice.call(arguments, 1);
+    var method = typeof(this.logger[level])=='function' ? level : "info";
+    this.logger[method].apply(this.logger, args);
+  }
+
+  // Logs the JSON entry, as a string if the logger is the console,
+  // otherwise the object is passed to the logger
+  _logEntry(level, entry) {
+    entry = Object.assign({ time: new Date().toISOString(), level: level }, entry);
+    this._log(level, this.logger===console ? JSON.stringify(entry) : entry);
+  }
+
+  // The fields of the JSON entries that identify the request
+  _logInfo(type, reqOptions, context) {
+    return {
+      type: type,
+      id: context.requestId,
+      method: reqOptions.method || "GET",
+      url: exporter.maskUrl(reqOptions.url, this.logOptions),
+      attempt: context.attempt
+    };
+  }
+
+  // Creates the `cache` store that manage the cache
   // that stores the GET response
-  _initCache() {
-    var NodeCache = require("node-cache");
-    this.cache = new NodeCache();
+  _initCache(config) {
+    if (config===true) {
+      this.cache = new cache.MemoryCacheStore();
+    } else if (typeof(config.get)=='function') {
+      this.cache = this._initCacheStore(config);
+    } else {
+      this.cache = config.store ? this._initCacheStore(config.store)
+                                : new cache.MemoryCacheStore({maxEntries: config.maxEntries});
+      this.httpCache = config.http || false;
+    }
+  }
+
+  _initCacheStore(store) {
+    if (store instanceof cache.MemoryCacheStore || store instanceof cache.FileCacheStore
+                                                || store instanceof cache.CacheStoreAdapter) {
+      return store;
+    }
+    return new cache.CacheStoreAdapter(store);
   }
 }
 
-function ConnectionError(message, cause) {
+// Encode the buffer in base64url format (without padding), used in JWT and PKCE
+function base64Url(buffer) {
+  return buffer.toString("base64").replace(/=+$/, "").replace(/\+/g, "-").replace(/\//g, "_");
+}
+
+// Truncates the text to `max` characters, if `max` is set
+function truncate(text, max) {
+  if (typeof(text)!='string' || !(max > 0) || text.length <= max) {
+    return text;
+  }
+  return text.substr(0, max) + "... (" + (text.length - max) + " more characters)";
+}
+
+// Parses a W3C `traceparent` value like "00-<trace-id>-<parent-id>-<flags>",
+// returns `undefined` if it's not valid
+function parseTraceparent(value) {
+  var match = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/.exec(String(value || "").trim());
+  if (!match || match[1]=="ff" || /^0+$/.test(match[2]) || /^0+$/.test(match[3])) {
+    return undefined;
+  }
+  return { traceId: match[2], spanId: match[3], flags: match[4] };
+}
+
+// The name of the header in the object, case insensitive
+function findHeader(headers, name) {
+  return Object.keys(headers || {}).filter(k => k.toLowerCase()==name.toLowerCase())[0];
+}
+
+/**
+ * Error thrown when the server can't be reached: time out,
+ * connection refused, host not found...
+ * @param message Error message
+ * @param cause The original error
+ * @param method The HTTP method of the request
+ * @param url The URL of the request
+ */
+function ConnectionError(message, cause, method, url) {
   Error.captureStackTrace(this, this.constructor);
   this.name = this.constructor.name;
   this.message = message;
   if (cause) {
     this.cause = cause;
+    this.code = cause.code;   // eg. 'ETIMEDOUT', 'ECONNREFUSED', 'ENOTFOUND'...
   }
+  this.method = method;
+  this.url = url;
 }
 
 require('util').inherits(ConnectionError, Error);
 
+/**
+ * Error thrown when a call is aborted with the `signal`
+ * option, or with `RequestClient.abortAll()`.
+ * @param method The HTTP method of the request
+ * @param url The URL of the request
+ */
+function AbortError(method, url) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = "The request was aborted";
+  this.code = 'ABORT_ERR';
+  this.method = method;
+  this.url = url;
+}
+
+require('util').inherits(AbortError, Error);
+
+/**
+ * Error thrown when the server responds with an HTTP status >= 400.
+ * @param httpResponse The full response
+ * @param body The response body, parsed as a JSON object if it's a JSON response
+ * @param method The HTTP method of the request
+ * @param url The URL of the request
+ * @param elapsedTime Milliseconds elapsed from the request to the response
+ */
+function HttpError(httpResponse, body, method, url, elapsedTime) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = "HTTP " + httpResponse.statusCode + " " + (STATUS_CODES[httpResponse.statusCode] || "Unknown Status");
+  this.statusCode = httpResponse.statusCode;
+  this.kind = httpResponse.statusCode < 500 ? "client" : "server";
+  this.headers = httpResponse.headers;
+  this.body = body;
+  this.method = method;
+  this.url = url;
+  this.elapsedTime = elapsedTime;
+}
+
+require('util').inherits(HttpError, Error);
+
+/**
+ * Error thrown when the request or the response body is not valid
+ * with the JSON Schema of the `requestSchema` or `schema` options.
+ * @param target "request" or "response"
+ * @param errors Array with the validation errors, objects with the JSON `path`
+ *               of the invalid value (eg. "$.items[0].id") and the error `message`
+ * @param body The body validated
+ * @param method The HTTP method of the request
+ * @param url The URL of the request
+ */
+function ValidationError(target, errors, body, method, url) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = "Invalid " + target + " body: " + errors[0].path + " " + errors[0].message
+                 + (errors.length > 1 ? " (and " + (errors.length - 1) + " more errors)" : "");
+  this.target = target;
+  this.path = errors[0].path;
+  this.errors = errors;
+  this.body = body;
+  this.method = method;
+  this.url = url;
+}
+
+require('util').inherits(ValidationError, Error);
+
+/**
+ * Error thrown when the queue of the rate limiter is full (`maxQueue` option).
+ * @param method The HTTP method of the request
+ * @param url The URL of the request
+ * @param maxQueue The max number of requests waiting in the queue
+ */
+function QueueFullError(method, url, maxQueue) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = "The request queue is full (" + maxQueue + " requests waiting)";
+  this.code = 'EQUEUEFULL';
+  this.method = method;
+  this.url = url;
+}
+
+require('util').inherits(QueueFullError, Error);
+
+/**
+ * Error thrown without sending the request when the circuit
+ * of the host is open (`circuitBreaker` option).
+ * @param method The HTTP method of the request
+ * @param url The URL of the request
+ * @param host The host of the circuit
+ * @param retryIn The milliseconds until the circuit is half-open
+ */
+function CircuitOpenError(method, url, host, retryIn) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = "The circuit of " + host + " is open, retry in " + retryIn + " ms";
+  this.code = 'ECIRCUITOPEN';
+  this.method = method;
+  this.url = url;
+  this.host = host;
+  this.retryIn = retryIn;
+}
+
+require('util').inherits(CircuitOpenError, Error);
+
+/**
+ * Error thrown in strict mode (`strictJson` option) when the
+ * response has a JSON content type but the body is not a valid JSON.
+ * @param cause The error thrown by `JSON.parse()`
+ * @param body The response body
+ * @param httpResponse The full response
+ * @param method The HTTP method of the request
+ * @param url The URL of the request
+ */
+function ParseError(cause, body, httpResponse, method, url) {
+  Error.captureStackTrace(this, this.constructor);
+  this.name = this.constructor.name;
+  this.message = "Invalid JSON response: " + cause.message;
+  this.cause = cause;
+  this.body = body;
+  this.statusCode = httpResponse.statusCode;
+  this.headers = httpResponse.headers;
+  this.method = method;
+  this.url = url;
+}
+
+require('util').inherits(ParseError, Error);
+
 module.exports = {
   RequestClient: RequestClient,
-  ConnectionError: ConnectionError
+  ConnectionError: ConnectionError,
+  HttpError: HttpError,
+  AbortError: AbortError,
+  ValidationError: ValidationError,
+  ParseError: ParseError,
+  QueueFullError: QueueFullError,
+  CircuitOpenError: CircuitOpenError,
+  MemoryCookieJar: cookies.MemoryCookieJar,
+  FileCookieJar: cookies.FileCookieJar,
+  MemoryCacheStore: cache.MemoryCacheStore,
+  FileCacheStore: cache.FileCacheStore,
+  CacheStoreAdapter: cache.CacheStoreAdapter,
+  MockTransport: mock.MockTransport,
+  HttpTransport: transport.HttpTransport,
+  HarRecorder: exporter.HarRecorder,
+  Serializers: serializers.Serializers
 };
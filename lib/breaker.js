@@ -0,0 +1,207 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var url = require('url');
+
+var CLOSED = "closed";
+var OPEN = "open";
+var HALF_OPEN = "half-open";
+
+// Default values of the options of `CircuitBreaker`
+var BREAKER_DEFAULTS = {
+  failureThreshold: 5,
+  window: 60000,
+  coolDown: 30000,
+  halfOpenRequests: 1,
+  statusCodes: [500, 502, 503, 504],
+  errorCodes: ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'],
+  staleTtl: 0
+};
+
+
+/**
+ * Circuit breaker by host: after `failureThreshold` failures in the rolling
+ * `window` the circuit of the host opens, and the requests fail fast during
+ * the `coolDown`. Then the circuit is half-open, and `halfOpenRequests` probe
+ * requests are sent: if all of them succeed the circuit is closed again,
+ * otherwise it's open for another `coolDown`.
+ */
+class CircuitBreaker {
+
+  /**
+   * @param options An object with the following options (see `BREAKER_DEFAULTS`):
+   * - failureThreshold (optional, default 5) The number of failures in the `window` that open the circuit
+   * - window (optional, default 60000) The time in milliseconds the failures are counted
+   * - coolDown (optional, default 30000) The time in milliseconds the circuit is open
+   * - halfOpenRequests (optional, default 1) The number of probe requests sent when the circuit
+   *                    is half-open, that have to succeed to close the circuit
+   * - statusCodes (optional) The HTTP status of the responses counted as failures
+   * - errorCodes (optional) The codes of the connection errors counted as failures
+   * - staleTtl (optional, default 0) Time in seconds the cached GET responses are kept
+   *            after they expire, to be returned while the circuit is open
+   * @param onStateChange (optional) Function called with the key, the new state and the
+   *                      previous state when the state of a circuit changes, unless
+   *                      another function is given in `acquire()` and `release()`
+   */
+  constructor(options, onStateChange) {
+    Object.assign(this, BREAKER_DEFAULTS, options===true ? {} : options);
+    this._onStateChange = onStateChange || (() => {});
+    this._circuits = new Map();
+  }
+
+  /**
+   * Returns the key of the circuit of the URL, the host.
+   */
+  key(requestUrl) {
+    return url.parse(requestUrl).host;
+  }
+
+  /**
+   * Requests to make a request to the key. Returns `false` if the circuit
+   * is open, or it's half-open and the probe requests are already in flight.
+   * If it returns `true`, `release()` has to be called when the request finishes.
+   * @param key The key of the circuit
+   * @param onStateChange (optional) Function called instead of the one given in the
+   *                      constructor if the state changes, eg. the one of the client
+   *                      that makes the request when the breaker is shared
+   */
+  acquire(key, onStateChange) {
+    var circuit = this._circuit(key);
+    if (circuit.state==OPEN) {
+      if (circuit.openedAt + this.coolDown > new Date().getTime()) {
+        return false;
+      }
+      this._setState(key, circuit, HALF_OPEN, onStateChange);
+    }
+    if (circuit.state==HALF_OPEN) {
+      if (circuit.probes >= this.halfOpenRequests) {
+        return false;
+      }
+      circuit.probes++;
+    }
+    return true;
+  }
+
+  /**
+   * Records the result of a request acquired with `acquire()`.
+   * @param key The key of the circuit
+   * @param failed `true` if the request failed, `false` if it succeeded,
+   *               or `undefined` if it doesn't count (eg. it was aborted)
+   * @param onStateChange (optional) Function called if the state changes, see `acquire()`
+   */
+  release(key, failed, onStateChange) {
+    var circuit = this._circuit(key);
+    var now = new Date().getTime();
+    if (circuit.state==HALF_OPEN) {
+      circuit.probes--;
+      if (failed) {
+        circuit.openedAt = now;
+        this._setState(key, circuit, OPEN, onStateChange);
+      } else if (failed===false && ++circuit.successes >= this.halfOpenRequests) {
+        this._setState(key, circuit, CLOSED, onStateChange);
+      }
+    } else if (circuit.state==CLOSED && failed) {
+      circuit.failures = circuit.failures.filter(time => time > now - this.window).concat(now);
+      if (circuit.failures.length >= this.failureThreshold) {
+        circuit.openedAt = now;
+        this._setState(key, circuit, OPEN, onStateChange);
+      }
+    }
+  }
+
+  /**
+   * Returns `true` if the result of the request is a failure that counts
+   * to open the circuit: a connection error or a response with a status
+   * of `statusCodes`, or `undefined` if the request was aborted.
+   */
+  isFailure(error, httpResponse) {
+    if (error) {
+      return error.name=='AbortError' ? undefined : this.errorCodes.indexOf(error.code)>=0;
+    }
+    return this.statusCodes.indexOf(httpResponse.statusCode)>=0;
+  }
+
+  /**
+   * Returns the `state` of the circuit of the key ("closed", "open" or "half-open"),
+   * the number of `failures` in the window, and the milliseconds until the
+   * circuit is half-open (`retryIn`) if it's open.
+   */
+  state(key) {
+    var circuit = this._circuits.get(key);
+    if (!circuit) {
+      return { state: CLOSED, failures: 0, retryIn: 0 };
+    }
+    var now = new Date().getTime();
+    return {
+      state: circuit.state,
+      failures: circuit.failures.filter(time => time > now - this.window).length,
+      retryIn: circuit.state==OPEN ? Math.max(0, circuit.openedAt + this.coolDown - now) : 0
+    };
+  }
+
+  /**
+   * Returns an object with the state of all the circuits by key, see `state()`.
+   */
+  states() {
+    var result = {};
+    this._circuits.forEach((circuit, key) => {
+      result[key] = this.state(key);
+    });
+    return result;
+  }
+
+  /**
+   * Closes the circuit of the key, or all the circuits if the key is not given.
+   */
+  reset(key) {
+    var keys = key!=undefined ? [key] : Array.from(this._circuits.keys());
+    keys.forEach(k => {
+      var circuit = this._circuits.get(k);
+      if (circuit) {
+        this._circuits.delete(k);
+        if (circuit.state!=CLOSED) {
+          this._onStateChange(k, CLOSED, circuit.state);
+        }
+      }
+    });
+  }
+
+  _circuit(key) {
+    var circuit = this._circuits.get(key);
+    if (!circuit) {
+      circuit = { state: CLOSED, failures: [], openedAt: 0, probes: 0, successes: 0 };
+      this._circuits.set(key, circuit);
+    }
+    return circuit;
+  }
+
+  _setState(key, circuit, state, onStateChange) {
+    var previous = circuit.state;
+    circuit.state = state;
+    circuit.probes = 0;
+    circuit.successes = 0;
+    if (state==CLOSED) {
+      circuit.failures = [];
+    }
+    (onStateChange || this._onStateChange)(key, state, previous);
+  }
+}
+
+
+module.exports = {
+  CircuitBreaker: CircuitBreaker,
+  BREAKER_DEFAULTS: BREAKER_DEFAULTS
+};
@@ -0,0 +1,224 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var crypto = require('crypto');
+
+// Cache stores used by `RequestClient` to save the GET responses.
+//
+// A cache store is any object with the following methods, all of
+// them returning a `Promise`:
+// - get(key) Resolves with the value stored, or `undefined` if there is no value
+// - set(key, value, ttl) Stores the value for `ttl` seconds (0 or `undefined` never expires)
+// - del(key) Deletes the value, resolving with the number of elements deleted
+// - keys() (optional) Resolves with an array of all the keys stored, needed
+//   to delete elements by prefix
+
+
+/**
+ * In-memory cache store that discards the least recently
+ * used elements when the max number of elements is reached.
+ */
+class MemoryCacheStore {
+
+  /**
+   * @param options (optional) An object with the following options:
+   * - maxEntries (optional, default 1000) The max number of elements stored
+   */
+  constructor(options) {
+    this.maxEntries = options && options.maxEntries || 1000;
+    this._entries = new Map();
+  }
+
+  get(key) {
+    var entry = this._entries.get(key);
+    if (entry==undefined) {
+      return Promise.resolve(undefined);
+    }
+    this._entries.delete(key);
+    if (entry.expires && entry.expires < new Date().getTime()) {
+      return Promise.resolve(undefined);
+    }
+    this._entries.set(key, entry);  // Move the element to the end, as the most recently used
+    return Promise.resolve(entry.value);
+  }
+
+  set(key, value, ttl) {
+    this._entries.delete(key);
+    this._entries.set(key, { value: value, expires: ttl ? new Date().getTime() + ttl * 1000 : null });
+    while (this._entries.size > this.maxEntries) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+    return Promise.resolve(true);
+  }
+
+  del(key) {
+    return Promise.resolve(this._entries.delete(key) ? 1 : 0);
+  }
+
+  keys() {
+    return Promise.resolve(Array.from(this._entries.keys()));
+  }
+}
+
+
+/**
+ * Cache store that saves each element as a JSON file
+ * in a directory, so the cache survives restarts.
+ */
+class FileCacheStore {
+
+  /**
+   * @param options The directory path, or an object with the following options:
+   * - dir The directory where the elements are stored
+   */
+  constructor(options) {
+    this.dir = typeof(options)=='string' ? options : options.dir;
+  }
+
+  get(key) {
+    var self = this;
+    var file = self._file(key);
+    return self._readFile(file).then(entry => {
+      if (entry==undefined) {
+        return undefined;
+      }
+      if (entry.expires && entry.expires < new Date().getTime()) {
+        return self._unlink(file).then(() => undefined);
+      }
+      return entry.value;
+    });
+  }
+
+  set(key, value, ttl) {
+    var self = this;
+    var file = self._file(key);
+    var tmpFile = file + "." + process.pid + "." + Math.random().toString(36).substr(2) + ".tmp";
+    var content = JSON.stringify({ key: key, value: value, expires: ttl ? new Date().getTime() + ttl * 1000 : null });
+    return new Promise((resolve, reject) => {
+      fs.mkdir(self.dir, err => {
+        if (err && err.code!='EEXIST') return reject(err);
+        // Write in a temporal file first to not leave a corrupted file if the process fails
+        fs.writeFile(tmpFile, content, err => {
+          if (err) return reject(err);
+          fs.rename(tmpFile, file, err => err ? reject(err) : resolve(true));
+        });
+      });
+    });
+  }
+
+  del(key) {
+    return this._unlink(this._file(key));
+  }
+
+  keys() {
+    var self = this;
+    return new Promise((resolve, reject) => {
+      fs.readdir(self.dir, (err, files) => {
+        if (err) {
+          return err.code=='ENOENT' ? resolve([]) : reject(err);
+        }
+        resolve(files.filter(file => /^[0-9a-f]{40}\.json$/.test(file)));
+      });
+    })
+    .then(files => Promise.all(files.map(file => self._readFile(path.join(self.dir, file)))))
+    .then(entries => entries.filter(entry => entry!=undefined).map(entry => entry.key));
+  }
+
+  _file(key) {
+    return path.join(this.dir, crypto.createHash('sha1').update(key).digest('hex') + ".json");
+  }
+
+  _readFile(file) {
+    return new Promise((resolve, reject) => {
+      fs.readFile(file, 'utf8', (err, content) => {
+        if (err) {
+          return err.code=='ENOENT' ? resolve(undefined) : reject(err);
+        }
+        try {
+          resolve(JSON.parse(content));
+        } catch (err) {
+          resolve(undefined);   // Corrupted file, ignored as if it doesn't exist
+        }
+      });
+    });
+  }
+
+  _unlink(file) {
+    return new Promise((resolve, reject) => {
+      fs.unlink(file, err => {
+        if (err) {
+          return err.code=='ENOENT' ? resolve(0) : reject(err);
+        }
+        resolve(1);
+      });
+    });
+  }
+}
+
+
+/**
+ * Adapts a user-supplied store to the cache store interface. The
+ * store methods can return a `Promise` (or any "thenable" object), or receive
+ * a Node.js style callback as last argument, like `node-cache` or `redis` clients.
+ */
+class CacheStoreAdapter {
+
+  /**
+   * @param store The store object, with `get`, `set` and `del` methods,
+   *              and optionally `keys` to support deleting by prefix
+   */
+  constructor(store) {
+    this.store = store;
+    if (typeof(store.keys)!='function') {
+      this.keys = undefined;
+    }
+  }
+
+  get(key) {
+    return this._call('get', [key]).then(value => value===null ? undefined : value);
+  }
+
+  set(key, value, ttl) {
+    return this._call('set', [key, value, ttl || 0]);
+  }
+
+  del(key) {
+    return this._call('del', [key]);
+  }
+
+  keys() {
+    return this._call('keys', []);
+  }
+
+  _call(method, args) {
+    var store = this.store;
+    return new Promise((resolve, reject) => {
+      var result = store[method].apply(store, args.concat([(err, value) => err ? reject(err) : resolve(value)]));
+      if (result && typeof(result.then)=='function') {
+        result.then(resolve, reject);
+      }
+    });
+  }
+}
+
+
+module.exports = {
+  MemoryCacheStore: MemoryCacheStore,
+  FileCacheStore: FileCacheStore,
+  CacheStoreAdapter: CacheStoreAdapter
+};
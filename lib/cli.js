@@ -0,0 +1,394 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var url = require('url');
+var util = require('util');
+var STATUS_CODES = require('http').STATUS_CODES;
+var reqclient = require('../index');
+
+// Command-line interface of `RequestClient`, used by the `reqclient` command:
+//
+//     reqclient get users/{id} --param id=5 --query active=true -c api.json -p dev
+
+// Exit codes of the command by the class of the error
+var EXIT_CODES = {
+  success: 0,
+  error: 1,         // Other errors, like an invalid configuration
+  usage: 2,         // Invalid arguments
+  clientError: 3,   // `HttpError` with HTTP status 4xx
+  serverError: 4,   // `HttpError` with HTTP status 5xx
+  connection: 5,    // `ConnectionError`, eg. the host is unreachable or a time out
+  unavailable: 6,   // `CircuitOpenError` or `QueueFullError`, the request was not sent
+  aborted: 130      // `AbortError`, eg. interrupted with Ctrl+C
+};
+
+// The options of the command, with the short `alias`, and whether they
+// have a `value` and can be given `multiple` times
+var OPTIONS = {
+  "config": { alias: "c", value: true },
+  "profile": { alias: "p", value: true },
+  "base-url": { alias: "b", value: true },
+  "param": { alias: "P", value: true, multiple: true },
+  "query": { alias: "q", value: true, multiple: true },
+  "header": { alias: "H", value: true, multiple: true },
+  "data": { alias: "d", value: true },
+  "form": { alias: "F", value: true, multiple: true },
+  "content-type": { alias: "t", value: true },
+  "timeout": { value: true },
+  "include": { alias: "i" },
+  "raw": { alias: "r" },
+  "curl": {},
+  "no-mask": {},
+  "verbose": { alias: "v" },
+  "help": { alias: "h" },
+  "version": {}
+};
+
+var USAGE = [
+  "Usage: reqclient <method> <uri> [data] [options]",
+  "",
+  "Makes a request with the configuration of RequestClient, eg.:",
+  "",
+  "  reqclient get users/{id} --param id=5 --query active=true -c api.json -p dev",
+  "  reqclient post users '{\"name\": \"Mika\"}' -b http://localhost:8080/api",
+  "",
+  "Options:",
+  "  -c, --config <file>         JSON file with the configuration, that can have profiles",
+  "  -p, --profile <name>        Profile of the configuration file, by default REQCLIENT_PROFILE",
+  "  -b, --base-url <url>        The base URL, overrides the one of the configuration",
+  "  -P, --param <name=value>    Parameter of the URI, like \"id\" in \"users/{id}\"",
+  "  -q, --query <name=value>    Query parameter, it can be repeated to send many values",
+  "  -H, --header <name: value>  Header to send, added to the headers of the configuration",
+  "  -d, --data <data>           The body: JSON, text, @file to read it from a file, or @- from stdin",
+  "  -F, --form <name=value>     Field of a multipart form, or name=@file to upload a file",
+  "  -t, --content-type <type>   Content type of the body, like json, form, xml or text",
+  "      --timeout <ms>          Time out of the request in milliseconds",
+  "  -i, --include               Print the response status and headers",
+  "  -r, --raw                   Don't pretty print the JSON responses",
+  "      --curl                  Print the cURL command of the request instead of sending it",
+  "      --no-mask               Don't mask the credentials in the cURL command",
+  "  -v, --verbose               Log the requests and responses to stderr",
+  "  -h, --help                  Show this help",
+  "      --version               Show the version",
+  "",
+  "The options of the configuration can be set with environment variables too, like",
+  "REQCLIENT_BASE_URL or REQCLIENT_OAUTH2__CLIENT_ID. The OAuth2 tokens are requested",
+  "automatically when the configuration has the \"oauth2\" option.",
+  "",
+  "Exit codes: 0 success, 1 error, 2 invalid arguments, 3 HTTP 4xx response,",
+  "4 HTTP 5xx response, 5 connection error or time out, 6 circuit open or queue",
+  "full, 130 interrupted."
+].join("\n");
+
+
+/**
+ * Runs the command with the arguments given (without the node executable
+ * and the script), printing the response to `stdout`.
+ * @param args Array with the arguments
+ * @param io (optional) Object with the `stdout`, `stderr` and `stdin` streams,
+ *           by default the ones of the process
+ * @returns {Promise} resolved with the exit code, see `EXIT_CODES`
+ */
+function run(args, io) {
+  io = Object.assign({ stdout: process.stdout, stderr: process.stderr, stdin: process.stdin }, io);
+  var opts;
+  var client;
+  return Promise.resolve().then(() => {
+    opts = parseArgs(args);
+    if (opts.help) {
+      io.stdout.write(USAGE + "\n");
+      return EXIT_CODES.success;
+    }
+    if (opts.version) {
+      io.stdout.write(require('../package.json').version + "\n");
+      return EXIT_CODES.success;
+    }
+    return readData(opts, io).then(data => {
+      client = new reqclient.RequestClient(loadConfig(opts, io));
+      var options = callOptions(opts);
+      if (opts.curl) {
+        return client.toCurl(opts.method, opts.uri, data, Object.assign({ mask: !opts["no-mask"] }, options))
+          .then(command => {
+            io.stdout.write(command + "\n");
+            return EXIT_CODES.success;
+          });
+      }
+      var response;
+      client.use({ response: httpResponse => { response = httpResponse; } });
+      var interrupt = () => client.abortAll();
+      process.on('SIGINT', interrupt);
+      return client.request(opts.method, opts.uri, data, options)
+        .then(body => {
+          printResponse(response, body, opts, io);
+          return EXIT_CODES.success;
+        })
+        .then(code => {
+          process.removeListener('SIGINT', interrupt);
+          return code;
+        }, err => {
+          process.removeListener('SIGINT', interrupt);
+          throw err;
+        });
+    });
+  }).catch(err => {
+    if (err instanceof reqclient.HttpError) {
+      printResponse(err, err.body, opts, io);
+    }
+    io.stderr.write("reqclient: " + errorMessage(err) + "\n");
+    if (err.usage) {
+      io.stderr.write("Try 'reqclient --help' for more information.\n");
+    }
+    return exitCode(err);
+  });
+}
+
+// Parses the arguments, returning an object with the `method`, the `uri`
+// (a string, or an object with the `params` and `query`), the `data`
+// given as argument, and the options by name
+function parseArgs(args) {
+  var opts = { positional: [] };
+  for (var i = 0; i < args.length; i++) {
+    var arg = args[i];
+    if (arg=="--") {
+      opts.positional = opts.positional.concat(args.slice(i + 1));
+      break;
+    }
+    var match = /^--([^=]+)(?:=([\s\S]*))?$/.exec(arg) || /^-([A-Za-z])$/.exec(arg);
+    if (!match) {
+      opts.positional.push(arg);
+      continue;
+    }
+    var name = arg.charAt(1)=="-" ? match[1]
+             : Object.keys(OPTIONS).filter(option => OPTIONS[option].alias==match[1])[0];
+    var option = OPTIONS[name];
+    if (!option) {
+      throw usageError("Unknown option " + arg);
+    }
+    var value = true;
+    if (option.value) {
+      value = match[2]!=undefined ? match[2] : args[++i];
+      if (value==undefined) {
+        throw usageError("The option " + arg + " requires a value");
+      }
+    } else if (match[2]!=undefined) {
+      throw usageError("The option --" + name + " doesn't accept a value");
+    }
+    opts[name] = option.multiple ? (opts[name] || []).concat(value) : value;
+  }
+  if (opts.help || opts.version) {
+    return opts;
+  }
+  if (opts.positional.length < 2 || opts.positional.length > 3) {
+    throw usageError(opts.positional.length < 2 ? "The method and the URI are required"
+                                                : "Unexpected argument \"" + opts.positional[3] + "\"");
+  }
+  if (!/^[A-Za-z]+$/.test(opts.positional[0])) {
+    throw usageError("Invalid method \"" + opts.positional[0] + "\"");
+  }
+  opts.method = opts.positional[0].toUpperCase();
+  opts.uri = opts.positional[1];
+  if (opts.param || opts.query) {
+    opts.uri = { uri: opts.uri, params: pairs(opts.param, "--param"), query: pairs(opts.query, "--query") };
+  }
+  if (opts.positional[2]!=undefined && opts.data!=undefined) {
+    throw usageError("The data is given twice, as argument and with --data");
+  }
+  opts.data = opts.positional[2]!=undefined ? opts.positional[2] : opts.data;
+  if (opts.data!=undefined && opts.form) {
+    throw usageError("The options --data and --form can't be used together");
+  }
+  if (opts.timeout!=undefined && !/^\d+$/.test(opts.timeout)) {
+    throw usageError("Invalid time out \"" + opts.timeout + "\", it must be a number of milliseconds");
+  }
+  return opts;
+}
+
+// Converts the "name=value" arguments in an object, the names given
+// many times have an array of values
+function pairs(values, option) {
+  var result = {};
+  (values || []).forEach(value => {
+    var index = value.indexOf("=");
+    if (index <= 0) {
+      throw usageError("Invalid " + option + " \"" + value + "\", it must be like name=value");
+    }
+    var name = value.substr(0, index);
+    value = value.substr(index + 1);
+    result[name] = result[name]!=undefined ? [].concat(result[name], value) : value;
+  });
+  return result;
+}
+
+// Loads the configuration from the file and the environment variables, with
+// the options of the command. If the base URL is not set and the URI is absolute,
+// the base URL is the origin of the URI
+function loadConfig(opts, io) {
+  if (opts.profile && !opts.config) {
+    throw usageError("The option --profile requires a configuration file, set it with --config");
+  }
+  var overrides = {};
+  if (opts["base-url"]) {
+    overrides.baseUrl = opts["base-url"];
+  }
+  if (opts.timeout!=undefined) {
+    overrides.timeout = parseInt(opts.timeout, 10);
+  }
+  if (opts.verbose) {
+    overrides.debugRequest = true;
+    overrides.debugResponse = true;
+  }
+  var config = reqclient.RequestClient.loadConfig({ file: opts.config, profile: opts.profile, config: overrides });
+  var uri = typeof(opts.uri)=='string' ? opts.uri : opts.uri.uri;
+  if (config.baseUrl==undefined && /^https?:\/\//.test(uri)) {
+    var parsed = url.parse(uri);
+    config.baseUrl = parsed.protocol + "//" + parsed.host;
+  }
+  if (config.baseUrl==undefined) {
+    throw usageError("The base URL is required: set it in the configuration file, with --base-url, " +
+                     "or with the REQCLIENT_BASE_URL environment variable, or use an absolute URI");
+  }
+  // The logs are written to stderr, so the output is only the response
+  var write = function () {
+    io.stderr.write(util.format.apply(util, arguments) + "\n");
+  };
+  config.logger = { info: write, warn: write, error: opts.verbose ? write : () => {} };
+  return config;
+}
+
+// The options of the call: the headers and the content type
+function callOptions(opts) {
+  var options = {};
+  if (opts.header) {
+    options.headers = {};
+    opts.header.forEach(header => {
+      var index = header.indexOf(":");
+      if (index <= 0) {
+        throw usageError("Invalid --header \"" + header + "\", it must be like \"Name: value\"");
+      }
+      options.headers[header.substr(0, index).trim()] = header.substr(index + 1).trim();
+    });
+  }
+  if (opts["content-type"]) {
+    options.contentType = opts["content-type"];
+  } else if (opts.form) {
+    options.contentType = "formData";
+  }
+  return options;
+}
+
+// Reads the data of the request: the `--data` value (parsed if it's a JSON),
+// the content of a file with "@file" or of stdin with "@-", or the `--form` fields
+function readData(opts, io) {
+  if (opts.form) {
+    var form = pairs(opts.form, "--form");
+    Object.keys(form).forEach(name => {
+      form[name] = [].concat(form[name]).map(value =>
+        value.charAt(0)=="@" ? fs.createReadStream(value.substr(1)) : value);
+      form[name] = form[name].length==1 ? form[name][0] : form[name];
+    });
+    return Promise.resolve(form);
+  }
+  var data = opts.data;
+  if (data==undefined) {
+    return Promise.resolve(undefined);
+  }
+  var content = data=="@-" ? readStream(io.stdin)
+              : data.charAt(0)=="@" ? Promise.resolve(fs.readFileSync(data.substr(1), 'utf8'))
+              : Promise.resolve(data);
+  return content.then(text => {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      return text;
+    }
+  });
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    var chunks = [];
+    stream.on('data', chunk => chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk)));
+    stream.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    stream.on('error', reject);
+  });
+}
+
+// Prints the response body (pretty printed if it's a JSON), and the status
+// and headers with `--include`. The `response` can be an `HttpError`
+function printResponse(response, body, opts, io) {
+  if (opts && opts.include && response) {
+    var headers = response.headers || {};
+    var lines = ["HTTP/" + (response.httpVersion || "1.1") + " " + response.statusCode + " "
+                 + (response.statusMessage || STATUS_CODES[response.statusCode] || "")];
+    Object.keys(headers).forEach(name => {
+      [].concat(headers[name]).forEach(value => lines.push(name + ": " + value));
+    });
+    io.stdout.write(lines.join("\n") + "\n\n");
+  }
+  if (body==undefined || body==="") {
+    return;
+  }
+  if (Buffer.isBuffer(body)) {
+    return io.stdout.write(body);
+  }
+  var text = typeof(body)=='string' ? body : JSON.stringify(body, null, opts && opts.raw ? 0 : 2);
+  io.stdout.write(text + (opts && opts.raw && !io.stdout.isTTY || /\n$/.test(text) ? "" : "\n"));
+}
+
+// The message of the error printed to stderr
+function errorMessage(err) {
+  if (err instanceof reqclient.ConnectionError && err.cause) {
+    return err.message + ": " + (err.cause.message || err.code) + " (" + err.method + " " + err.url + ")";
+  }
+  if (err instanceof reqclient.HttpError || err instanceof reqclient.AbortError) {
+    return err.message + " (" + err.method + " " + err.url + ")";
+  }
+  return err.message || String(err);
+}
+
+// The exit code of the error, see `EXIT_CODES`
+function exitCode(err) {
+  if (err.usage) {
+    return EXIT_CODES.usage;
+  }
+  if (err instanceof reqclient.HttpError) {
+    return err.kind=="client" ? EXIT_CODES.clientError : EXIT_CODES.serverError;
+  }
+  if (err instanceof reqclient.ConnectionError) {
+    return EXIT_CODES.connection;
+  }
+  if (err instanceof reqclient.CircuitOpenError || err instanceof reqclient.QueueFullError) {
+    return EXIT_CODES.unavailable;
+  }
+  if (err instanceof reqclient.AbortError) {
+    return EXIT_CODES.aborted;
+  }
+  return EXIT_CODES.error;
+}
+
+function usageError(message) {
+  var error = new Error(message);
+  error.usage = true;
+  return error;
+}
+
+
+module.exports = {
+  run: run,
+  parseArgs: parseArgs,
+  EXIT_CODES: EXIT_CODES
+};
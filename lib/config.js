@@ -0,0 +1,278 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var url = require('url');
+
+// Validation of the configuration of `RequestClient`, and loading of the
+// configuration from environment variables and JSON files with profiles.
+
+// The types accepted by each option, the options not listed are not validated
+var OPTION_TYPES = {
+  baseUrl: "string",
+  timeout: "number",
+  connectTimeout: "number",
+  readTimeout: "number",
+  contentType: "string",
+  accept: ["string", "boolean"],
+  serializers: "object",
+  headers: "object",
+  debugRequest: "boolean",
+  debugResponse: "boolean",
+  logger: "object",
+  log: "object",
+  forever: "boolean",
+  gzip: "boolean",
+  followRedirect: "boolean",
+  followAllRedirects: "boolean",
+  maxRedirects: "number",
+  encodeQuery: "boolean",
+  encodeParams: "boolean",
+  requestOptions: "object",
+  fullResponse: "boolean",
+  legacyErrors: "boolean",
+  strictJson: "boolean",
+  traceparent: ["boolean", "string", "function"],
+  cache: ["boolean", "object"],
+  dedupe: "boolean",
+  retry: ["boolean", "number", "object"],
+  interceptors: "array",
+  rateLimit: "object",
+  maxConcurrent: "number",
+  maxQueue: "number",
+  limitBy: ["string", "function"],
+  slowdown: "boolean",
+  cookies: ["boolean", "string", "object"],
+  circuitBreaker: ["boolean", "object"],
+  transport: ["object", "function"],
+  auth: "object",
+  oauth2: "object"
+};
+
+// The types of the options of the nested objects by the name of the object,
+// used to convert the values of environment variables like `REQCLIENT_RETRY__MAX_ATTEMPTS`
+var NESTED_OPTION_TYPES = {
+  oauth2: Object.assign({}, OPTION_TYPES, {
+    refreshSkew: "number",
+    scope: ["string", "array"],
+    params: "object",
+    user: "object"
+  }),
+  auth: { sendImmediately: "boolean" },
+  cache: { maxEntries: "number", http: "boolean" },
+  retry: {
+    maxAttempts: "number",
+    minDelay: "number",
+    maxDelay: "number",
+    factor: "number",
+    jitter: "boolean",
+    statusCodes: "array",
+    errorCodes: "array",
+    methods: "array",
+    retryAfter: "boolean"
+  },
+  rateLimit: { requests: "number", interval: "number" },
+  circuitBreaker: {
+    failureThreshold: "number",
+    window: "number",
+    coolDown: "number",
+    halfOpenRequests: "number",
+    staleTtl: "number",
+    statusCodes: "array",
+    errorCodes: "array"
+  },
+  log: {
+    maxBodyLength: "number",
+    levels: "object",
+    maskHeaders: "array",
+    maskFields: "array",
+    maskQuery: "array"
+  }
+};
+
+var DEFAULT_PREFIX = "REQCLIENT_";
+
+
+/**
+ * Validates the configuration of `RequestClient`, throwing an `Error`
+ * with the option that is missing or invalid.
+ */
+function validateConfig(config) {
+  if (typeOf(config)!="object") {
+    throw new Error("Invalid config: it must be an object or a string with the base URL, but it's " + typeOf(config));
+  }
+  if (config.baseUrl==undefined || config.baseUrl==="") {
+    throw new Error("Invalid config: the \"baseUrl\" option is required");
+  }
+  Object.keys(OPTION_TYPES).forEach(name => {
+    var value = config[name];
+    var types = [].concat(OPTION_TYPES[name]);
+    if (value!=undefined && types.indexOf(typeOf(value))<0) {
+      throw new Error("Invalid config: the \"" + name + "\" option must be " +
+                      types.map(type => (/^[aeiou]/.test(type) ? "an " : "a ") + type).join(" or ") +
+                      ", but it's " + typeOf(value));
+    }
+    if (typeof(value)=='number' && !(value >= 0)) {
+      throw new Error("Invalid config: the \"" + name + "\" option must be a number >= 0, but it's " + value);
+    }
+  });
+  var baseUrl = url.parse(config.baseUrl);
+  if ((baseUrl.protocol!="http:" && baseUrl.protocol!="https:") || !baseUrl.host) {
+    throw new Error("Invalid config: the \"baseUrl\" option must be an absolute HTTP URL, " +
+                    "like \"http://example.com/api\", but it's \"" + config.baseUrl + "\"");
+  }
+  if (config.logger && typeof(config.logger.error)!='function') {
+    throw new Error("Invalid config: the \"logger\" option must have the method error()");
+  }
+  if (config.logger && (config.debugRequest || config.debugResponse) && typeof(config.logger.info)!='function') {
+    throw new Error("Invalid config: the \"logger\" option must have the method info() to debug the requests");
+  }
+  if (config.log && config.log.format!=undefined && ["text", "json"].indexOf(config.log.format)<0) {
+    throw new Error("Invalid config: the \"log.format\" option must be \"text\" or \"json\", but it's \"" +
+                    config.log.format + "\"");
+  }
+  if (typeof(config.limitBy)=='string' && ["client", "host"].indexOf(config.limitBy)<0) {
+    throw new Error("Invalid config: the \"limitBy\" option must be \"client\", \"host\" or a function, " +
+                    "but it's \"" + config.limitBy + "\"");
+  }
+  if (config.rateLimit && !(config.rateLimit.requests > 0)) {
+    throw new Error("Invalid config: the \"rateLimit.requests\" option must be a number greater than 0");
+  }
+  if (config.oauth2 && config.oauth2.baseUrl!=undefined) {
+    validateConfig(Object.assign({}, config.oauth2, {oauth2: undefined}));
+  }
+}
+
+/**
+ * Loads the configuration of `RequestClient` from a JSON file and from environment variables.
+ * @param options (optional) An object with the following options:
+ * - file (optional) The path of a JSON file with the configuration. The options
+ *        in the `profiles` object override the other options of the file
+ *        with the profile selected, eg. `{"timeout": 5000, "profiles": {"dev": {...}}}`
+ * - profile (optional) The name of the profile, by default the `REQCLIENT_PROFILE`
+ *           environment variable. Required if the file has profiles
+ * - env (optional, default `process.env`) The environment variables
+ * - prefix (optional, default "REQCLIENT_") The prefix of the environment variables
+ *          with options, like `REQCLIENT_BASE_URL` or `REQCLIENT_OAUTH2__CLIENT_ID`
+ * - config (optional) Options that override the ones loaded
+ * @returns the configuration object
+ */
+function loadConfig(options) {
+  options = options || {};
+  var env = options.env || process.env;
+  var prefix = options.prefix!=undefined ? options.prefix : DEFAULT_PREFIX;
+  var config = {};
+  if (options.file) {
+    var content = JSON.parse(fs.readFileSync(options.file, 'utf8'));
+    var profiles = content.profiles;
+    delete content.profiles;
+    config = content;
+    var profile = options.profile || env[prefix + "PROFILE"];
+    if (profiles && !profile) {
+      throw new Error("A profile is required to load \"" + options.file + "\", the profiles are: " +
+                      Object.keys(profiles).join(", "));
+    }
+    if (profile) {
+      if (!profiles || !profiles[profile]) {
+        throw new Error("Unknown profile \"" + profile + "\" in \"" + options.file + "\", the profiles are: " +
+                        Object.keys(profiles || {}).join(", "));
+      }
+      config = mergeConfig(config, profiles[profile]);
+    }
+  }
+  config = mergeConfig(config, envConfig(env, prefix));
+  return mergeConfig(config, options.config || {});
+}
+
+// The options of the environment variables with the prefix, like `REQCLIENT_BASE_URL`
+// -> `baseUrl`. The nested options are separated by "__", like `REQCLIENT_OAUTH2__CLIENT_ID`.
+// The names of the headers are not converted to camel case: `REQCLIENT_HEADERS__X_API_KEY`
+// -> `{headers: {"X-Api-Key": ...}}`, neither the `params` of OAuth2
+function envConfig(env, prefix) {
+  var config = {};
+  Object.keys(env).filter(name => name.indexOf(prefix)==0 && name!=prefix + "PROFILE").forEach(name => {
+    var path = name.substr(prefix.length).split("__");
+    path = path.map((key, i) => path[i - 1]=="HEADERS" ? headerName(key)
+                              : path[i - 1]=="PARAMS" ? key.toLowerCase() : camelCase(key));
+    var target = config;
+    path.slice(0, -1).forEach(key => {
+      target = target[key] = typeOf(target[key])=="object" ? target[key] : {};
+    });
+    var key = path[path.length - 1];
+    var types = path.length==1 ? OPTION_TYPES : NESTED_OPTION_TYPES[path[path.length - 2]] || {};
+    target[key] = envValue(key, env[name], types[key]);
+  });
+  return config;
+}
+
+// Converts the value of the environment variable to the `types` of the option
+function envValue(name, value, types) {
+  types = [].concat(types || "string");
+  if (types.indexOf("boolean")>=0 && (value=="true" || value=="false")) {
+    return value=="true";
+  }
+  if (types.indexOf("number")>=0 && /^\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  if ((types.indexOf("object")>=0 || types.indexOf("array")>=0) && /^\s*[\[{]/.test(value)) {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      throw new Error("Invalid JSON in the \"" + name + "\" option: " + err.message);
+    }
+  }
+  return value;
+}
+
+// Merges the options, the objects like `headers` are merged too
+function mergeConfig(config, overrides) {
+  var result = Object.assign({}, config);
+  Object.keys(overrides).forEach(name => {
+    var value = overrides[name];
+    result[name] = typeOf(value)=="object" && typeOf(result[name])=="object" && isPlainObject(value)
+                 ? mergeConfig(result[name], value) : value;
+  });
+  return result;
+}
+
+// "BASE_URL" -> "baseUrl"
+function camelCase(name) {
+  return name.toLowerCase().replace(/_([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+// "X_API_KEY" -> "X-Api-Key"
+function headerName(name) {
+  return name.toLowerCase().split("_").map(word => word.charAt(0).toUpperCase() + word.substr(1)).join("-");
+}
+
+function isPlainObject(value) {
+  var proto = Object.getPrototypeOf(value);
+  return proto===Object.prototype || proto===null;
+}
+
+function typeOf(value) {
+  if (value===null) {
+    return "null";
+  }
+  return value instanceof Array ? "array" : typeof(value);
+}
+
+
+module.exports = {
+  validateConfig: validateConfig,
+  loadConfig: loadConfig,
+  mergeConfig: mergeConfig
+};
@@ -0,0 +1,265 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var net = require('net');
+var url = require('url');
+
+// Cookie jars used by `RequestClient` with the `cookies` option, to store the
+// cookies received in the `Set-Cookie` headers and send them in the next requests,
+// following the rules of the RFC 6265 (domain, path, expiration and secure).
+//
+// The jars are passed to the transport in the `jar` option, so any jar with the
+// following methods can be used, like the ones of `request.jar()`:
+// - setCookie(cookie, url) Stores the cookie of the `Set-Cookie` header received from the URL
+// - getCookieString(url) Returns the value of the `Cookie` header to send to the URL
+
+
+/**
+ * Cookie jar that keeps the cookies in memory.
+ */
+class MemoryCookieJar {
+
+  /**
+   * @param cookies (optional) Array of cookies to load, as returned by `toJSON()`
+   */
+  constructor(cookies) {
+    this._cookies = new Map();
+    (cookies || []).forEach(cookie => this._cookies.set(cookieKey(cookie), Object.assign({}, cookie)));
+  }
+
+  /**
+   * Stores the cookie of the `Set-Cookie` header received in the response of the URL.
+   * The cookies with a `Domain` that doesn't match the host of the URL are ignored,
+   * and the cookies expired are removed from the jar.
+   * @returns the cookie stored, or `undefined` if it's ignored
+   */
+  setCookie(header, requestUrl) {
+    var cookie = parseSetCookie(String(header), url.parse(requestUrl));
+    if (!cookie) {
+      return undefined;
+    }
+    var key = cookieKey(cookie);
+    var existing = this._cookies.get(key);
+    if (existing) {
+      cookie.creation = existing.creation;   // Keeps the order of the cookie
+    }
+    if (cookie.expires!=null && cookie.expires <= new Date().getTime()) {
+      this._delete(key);
+      return undefined;
+    }
+    this._cookies.set(key, cookie);
+    this._changed();
+    return cookie;
+  }
+
+  /**
+   * Returns the cookies to send to the URL (or all the cookies if the URL
+   * is not given), objects with the `name`, `value`, `domain`, `path`, `expires`
+   * (timestamp in milliseconds, or `null` for session cookies), `secure`, `httpOnly`
+   * and `hostOnly` fields. The cookies with longer paths are first.
+   */
+  getCookies(requestUrl) {
+    var now = new Date().getTime();
+    var expired = [];
+    var cookies = [];
+    this._cookies.forEach((cookie, key) => {
+      if (cookie.expires!=null && cookie.expires <= now) {
+        expired.push(key);
+      } else {
+        cookies.push(cookie);
+      }
+    });
+    expired.forEach(key => this._delete(key));
+    if (requestUrl!=undefined) {
+      var parsed = url.parse(requestUrl);
+      var host = (parsed.hostname || "").toLowerCase();
+      var path = parsed.pathname || "/";
+      cookies = cookies.filter(cookie =>
+        (cookie.hostOnly ? host==cookie.domain : domainMatch(host, cookie.domain))
+        && pathMatch(path, cookie.path)
+        && (!cookie.secure || parsed.protocol=="https:"));
+    }
+    return cookies.sort((a, b) => b.path.length - a.path.length || a.creation - b.creation)
+                  .map(cookie => Object.assign({}, cookie));
+  }
+
+  /**
+   * Returns the value of the `Cookie` header to send to the URL, eg. "sid=123; lang=en".
+   */
+  getCookieString(requestUrl) {
+    return this.getCookies(requestUrl).map(cookie => cookie.name + "=" + cookie.value).join("; ");
+  }
+
+  /**
+   * Removes the cookies with the name (and the domain, if it's given).
+   */
+  removeCookie(name, domain) {
+    var keys = [];
+    this._cookies.forEach((cookie, key) => {
+      if (cookie.name==name && (domain==undefined || cookie.domain==domain.toLowerCase())) {
+        keys.push(key);
+      }
+    });
+    keys.forEach(key => this._delete(key));
+  }
+
+  /**
+   * Removes all the cookies.
+   */
+  clear() {
+    if (this._cookies.size > 0) {
+      this._cookies.clear();
+      this._changed();
+    }
+  }
+
+  /**
+   * Returns the array of cookies of the jar, see `getCookies()`.
+   */
+  toJSON() {
+    return this.getCookies();
+  }
+
+  _delete(key) {
+    if (this._cookies.delete(key)) {
+      this._changed();
+    }
+  }
+
+  // Called when the cookies change
+  _changed() {
+  }
+}
+
+/**
+ * Cookie jar that persists the cookies in a JSON file, to keep
+ * the sessions between executions. The file is read when the jar is
+ * created, and written each time the cookies change.
+ */
+class FileCookieJar extends MemoryCookieJar {
+
+  /**
+   * @param options The file path, or an object with the following options:
+   * - file The path of the JSON file where the cookies are stored
+   */
+  constructor(options) {
+    var file = typeof(options)=='string' ? options : options.file;
+    super(fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : []);
+    this.file = file;
+  }
+
+  _changed() {
+    // Written synchronously, the cookies are stored by the transport while the response is processed
+    fs.writeFileSync(this.file, JSON.stringify(this.toJSON(), null, 2));
+  }
+}
+
+// Parses the `Set-Cookie` header received from the URL, returns
+// `undefined` if it's invalid or the domain doesn't match the URL
+function parseSetCookie(header, requestUrl) {
+  var parts = header.split(";");
+  var pair = parts.shift();
+  var equals = pair.indexOf("=");
+  var name = equals < 0 ? "" : pair.substr(0, equals).trim();
+  if (!name) {
+    return undefined;
+  }
+  var host = (requestUrl.hostname || "").toLowerCase();
+  var cookie = {
+    name: name,
+    value: pair.substr(equals + 1).trim().replace(/^"(.*)"$/, "$1"),
+    domain: host,
+    path: defaultPath(requestUrl.pathname),
+    expires: null,
+    secure: false,
+    httpOnly: false,
+    hostOnly: true,
+    creation: new Date().getTime()
+  };
+  var maxAge;
+  parts.forEach(part => {
+    var index = part.indexOf("=");
+    var attr = (index < 0 ? part : part.substr(0, index)).trim().toLowerCase();
+    var value = index < 0 ? "" : part.substr(index + 1).trim();
+    if (attr=="expires") {
+      var date = Date.parse(value);
+      if (!isNaN(date)) cookie.expires = date;
+    } else if (attr=="max-age" && /^-?\d+$/.test(value)) {
+      maxAge = parseInt(value, 10);
+    } else if (attr=="domain" && value) {
+      cookie.domain = value.replace(/^\./, "").toLowerCase();
+      cookie.hostOnly = false;
+    } else if (attr=="path" && value.charAt(0)=="/") {
+      cookie.path = value;
+    } else if (attr=="secure") {
+      cookie.secure = true;
+    } else if (attr=="httponly") {
+      cookie.httpOnly = true;
+    }
+  });
+  if (maxAge!=undefined) {
+    // Max-Age has precedence over Expires
+    cookie.expires = maxAge > 0 ? new Date().getTime() + maxAge * 1000 : 0;
+  }
+  if (!cookie.hostOnly && (!domainMatch(host, cookie.domain)
+                           || (cookie.domain!=host && cookie.domain.indexOf(".")<0))) {
+    return undefined;   // Cookie for other domain, or a top-level domain
+  }
+  return cookie;
+}
+
+function domainMatch(host, domain) {
+  return host==domain || (!net.isIP(host) && host.substr(-domain.length - 1)=="." + domain);
+}
+
+function pathMatch(path, cookiePath) {
+  return path==cookiePath || (path.indexOf(cookiePath)==0
+                              && (cookiePath.charAt(cookiePath.length - 1)=="/" || path.charAt(cookiePath.length)=="/"));
+}
+
+// The default path of the cookies: the directory of the URL path
+function defaultPath(path) {
+  if (!path || path.charAt(0)!="/" || path.lastIndexOf("/")==0) {
+    return "/";
+  }
+  return path.substr(0, path.lastIndexOf("/"));
+}
+
+function cookieKey(cookie) {
+  return cookie.domain + ";" + cookie.path + ";" + cookie.name;
+}
+
+/**
+ * Returns the cookie jar of the `cookies` option: a `MemoryCookieJar` if it's `true`,
+ * a `FileCookieJar` if it's a file path, or the jar given.
+ */
+function createCookieJar(cookies) {
+  if (cookies===true) {
+    return new MemoryCookieJar();
+  }
+  if (typeof(cookies)=='string') {
+    return new FileCookieJar(cookies);
+  }
+  return cookies;
+}
+
+
+module.exports = {
+  MemoryCookieJar: MemoryCookieJar,
+  FileCookieJar: FileCookieJar,
+  createCookieJar: createCookieJar
+};
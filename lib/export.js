@@ -0,0 +1,604 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var ReadStream = fs.ReadStream;
+var crypto = require('crypto');
+var querystring = require('querystring');
+var url = require('url');
+var STATUS_CODES = require('http').STATUS_CODES;
+var version = require('../package.json').version;
+var serializers = require('./serializers');
+
+// Export of the requests made by `RequestClient` as cURL commands and HAR files,
+// and masking of the requests and responses logged.
+//
+// The sensitive values are masked by default with placeholders like `${PASSWORD}`,
+// that in the cURL commands are expanded by the shell from environment variables.
+// The masking is configured with the following options:
+// - mask (optional, default true) Set it to `false` to show the real values
+// - maskHeaders (optional) The names of the headers masked (case-insensitive),
+//               by default `MASKED_HEADERS`. If it includes "Authorization",
+//               the credentials of the `auth` option are masked too
+// - maskFields (optional) The names of the form and JSON fields masked, by default `MASKED_FIELDS`.
+//              The JSON fields can be also paths from the root of the body, like "user.ssn"
+//              or "items.*.token" (`*` matches any field name or array index)
+// - maskQuery (optional) The names of the query params masked, by default `MASKED_QUERY`
+
+var MASKED_HEADERS = ["Authorization", "Proxy-Authorization", "Cookie", "Set-Cookie", "X-Api-Key"];
+var MASKED_FIELDS = ["password", "client_secret", "access_token", "refresh_token", "id_token", "client_assertion"];
+// Masked too in the forms sent to the OAuth2 token endpoint, the ones with the `grant_type` field
+var TOKEN_MASKED_FIELDS = ["code", "code_verifier"];
+var MASKED_QUERY = ["access_token", "refresh_token", "id_token", "client_secret", "client_assertion",
+                    "api_key", "password"];
+
+// Marks the masked values in the JSON strings, to replace them later with shell variables
+var MASK_MARK = "__mask" + crypto.randomBytes(6).toString('hex') + "__";
+
+
+/**
+ * Returns the arguments of the cURL command (without "curl")
+ * that makes the same request than the `request` options given.
+ * @param reqOptions The options passed to the `request` module
+ * @param options (optional) The masking options
+ */
+function toCurl(reqOptions, options) {
+  var mask = maskOptions(options);
+  var method = reqOptions.method || 'GET';
+  var args = [];
+  if (method == 'HEAD') {
+    args.push('-I');
+  } else if (method != 'GET') {
+    args.push('-X ' + method);
+  }
+  // Escaped like the `request` module does, eg. the spaces, that cURL doesn't accept
+  args.push(shellQuote(maskUrlParts(url.parse(reqOptions.url).href, mask.query)));
+  var auth = reqOptions.auth;
+  var maskAuth = mask.headers.indexOf("authorization")>=0;
+  if (auth && (auth.user || auth.username)) {
+    args.push('-u ' + shellQuote(maskAuth ? [placeholder("client_id"), ":", placeholder("client_secret")]
+                                          : (auth.user || auth.username) + ":" + (auth.pass || auth.password || ""), true));
+  } else if (auth && auth.bearer) {
+    args.push('-H ' + shellQuote(["Authorization: Bearer ", maskAuth ? placeholder("access_token") : bearerToken(auth)], true));
+  }
+  args = args.concat(curlData(reqOptions, mask));
+  var headers = reqOptions.headers || {};
+  for (var k in headers) {
+    if (reqOptions.formData!=undefined && k.toLowerCase()=="content-type") {
+      continue;   // Set by cURL with the multipart boundary
+    }
+    args.push('-H ' + shellQuote(isMasked(mask.headers, k) ? [k + ":", placeholder(k)] : k + ":" + headers[k], true));
+  }
+  var cookies = jarCookies(reqOptions);
+  if (cookies.length > 0) {
+    var maskCookies = mask.headers.indexOf("cookie")>=0;
+    args.push('-b ' + shellQuote(cookies.reduce((parts, cookie, i) => parts.concat(
+      (i > 0 ? "; " : "") + cookie.name + "=", maskCookies ? placeholder(cookie.name) : cookie.value
+    ), []), true));
+  }
+  if (hasJsonBody(reqOptions) && !findHeader(headers, "Content-Type")) {
+    args.push('-H Content-Type:application/json');
+  }
+  if (reqOptions.connectTimeout || reqOptions.timeout) {
+    args.push('--connect-timeout ' + ((reqOptions.connectTimeout || reqOptions.timeout) / 1000.0)); // ms to sec
+  }
+  if (followsRedirects(reqOptions)) {
+    args.push('-L');
+    if (reqOptions.maxRedirects!=undefined) {
+      args.push('--max-redirs ' + reqOptions.maxRedirects);
+    }
+  }
+  if (reqOptions.gzip) {
+    args.push('--compressed');
+  }
+  return args.join(" ");
+}
+
+// The cURL arguments to send the body of the request
+function curlData(reqOptions, mask) {
+  var args = [];
+  var k, v;
+  if (reqOptions.form!=undefined && typeof(reqOptions.form)=='object') {
+    var fields = formMaskedFields(reqOptions.form, mask);
+    for (k in reqOptions.form) {
+      v = reqOptions.form[k];
+      if (isMasked(fields, k)) {
+        args.push('-d ' + shellQuote([k + "=", placeholder(k)]));
+      } else {
+        v = v==undefined ? "" : String(v);
+        // Values with special chars are encoded by cURL
+        args.push((querystring.escape(v)==v ? '-d ' : '--data-urlencode ') + shellQuote(k + "=" + v, true));
+      }
+    }
+  } else if (reqOptions.formData!=undefined) {
+    for (k in reqOptions.formData) {
+      v = reqOptions.formData[k];
+      var file = filePath(v);
+      if (isMasked(mask.fields, k)) {
+        args.push('-F ' + shellQuote([k + "=", placeholder(k)]));
+      } else if (file) {
+        args.push('-F ' + shellQuote(k + "=@" + file, true));
+      } else {
+        v = v==undefined ? "" : String(v);
+        // With -F the values starting with "@" or "<" are read from files
+        args.push((/^[@<]/.test(v) ? '--form-string ' : '-F ') + shellQuote(k + "=" + v, true));
+      }
+    }
+  } else if (hasJsonBody(reqOptions)) {
+    args.push(dataArg('-d', jsonParts(serializers.jsonBody(reqOptions), mask.fields)));
+  } else if (reqOptions.form!=undefined) {
+    args.push(dataArg('-d', String(reqOptions.form)));
+  } else if (reqOptions.body!=undefined) {
+    if (typeof(reqOptions.body.pipe)=='function') {
+      var path = filePath(reqOptions.body);
+      args.push('--data-binary ' + (path ? shellQuote("@" + path, true) : '@-'));
+    } else {
+      args.push(dataArg('--data-binary', reqOptions.body.toString()));
+    }
+  }
+  return args;
+}
+
+// The data argument, using `--data-raw` if the value starts with "@",
+// that otherwise would be interpreted by cURL as a file
+function dataArg(flag, parts) {
+  var first = [].concat(parts)[0];
+  return (typeof(first)=='string' && first.charAt(0)=='@' ? '--data-raw ' : flag + ' ') + shellQuote(parts, true);
+}
+
+/**
+ * Quotes the value to be used as an argument in a POSIX shell. The value can be
+ * a string, or an array of strings and placeholders created with `placeholder()`.
+ * Without placeholders the value is enclosed in single quotes, otherwise in double
+ * quotes to let the shell expand the variables. If `force` is not `true`, values
+ * without special chars are not quoted.
+ */
+function shellQuote(parts, force) {
+  parts = [].concat(parts);
+  if (parts.some(part => typeof(part)!='string')) {
+    return '"' + parts.map(part => typeof(part)=='string' ? part.replace(/[\\"$`]/g, "\\$&") : "${" + part.env + "}").join("") + '"';
+  }
+  var value = parts.join("");
+  if (!force && /^[\w.,:\/@%+=-]+$/.test(value)) {
+    return value;
+  }
+  return "'" + value.replace(/'/g, "'\\''") + "'";
+}
+
+// A shell variable used in place of a masked value
+function placeholder(name) {
+  return { env: name.toUpperCase().replace(/[^A-Z0-9]+/g, "_") };
+}
+
+// The JSON body as an array of strings and placeholders for the masked fields
+function jsonParts(data, fields) {
+  var json = JSON.stringify(maskJson(data, fields, name => MASK_MARK + name + MASK_MARK));
+  return json.split(MASK_MARK).map((part, i) => i % 2 == 1 ? placeholder(part) : part);
+}
+
+/**
+ * Returns a copy of the JSON value with the values of the `fields`
+ * replaced (at any level) by the result of `replace(fieldName)`.
+ */
+function maskJson(value, fields, replace, path) {
+  path = path || [];
+  if (fields.length==0 || value==null || typeof(value)!='object') {
+    return value;
+  }
+  if (value instanceof Array) {
+    return value.map((item, i) => maskJson(item, fields, replace, path.concat(String(i))));
+  }
+  var result = {};
+  for (var k in value) {
+    var fieldPath = path.concat(k);
+    result[k] = value[k]!=undefined && isMaskedField(fields, fieldPath) ? replace(k)
+                                                                         : maskJson(value[k], fields, replace, fieldPath);
+  }
+  return result;
+}
+
+// Whether the JSON field is masked by its name, or by its path like "user.ssn" or "items.*.token"
+function isMaskedField(fields, path) {
+  return fields.some(field => {
+    var fieldPath = field.replace(/^\$\.?/, "").replace(/\[(\d+|\*)\]/g, ".$1").split(".");
+    if (fieldPath.length==1) {
+      return isMasked([field], path[path.length - 1]);
+    }
+    return fieldPath.length==path.length && fieldPath.every((name, i) => name=="*" || name==path[i]);
+  });
+}
+
+/**
+ * Returns the URL with the values of the query params masked
+ * with placeholders like `${ACCESS_TOKEN}`.
+ * @param requestUrl The URL
+ * @param options (optional) The masking options
+ */
+function maskUrl(requestUrl, options) {
+  return joinUrlParts(maskUrlParts(requestUrl, maskOptions(options).query));
+}
+
+function joinUrlParts(parts) {
+  return parts.map(part => typeof(part)=='string' ? part : "${" + part.env + "}").join("");
+}
+
+// The URL as an array of strings and placeholders for the values of the query params masked
+function maskUrlParts(requestUrl, names) {
+  var index = requestUrl.indexOf("?");
+  if (names.length==0 || index<0) {
+    return [requestUrl];
+  }
+  var parts = [requestUrl.substr(0, index + 1)];
+  requestUrl.substr(index + 1).split("&").forEach((param, i) => {
+    var separator = i > 0 ? "&" : "";
+    var equals = param.indexOf("=");
+    var name = querystring.unescape(equals<0 ? param : param.substr(0, equals));
+    if (equals<0 || !isMasked(names, name)) {
+      parts.push(separator + param);
+    } else {
+      parts.push(separator + param.substr(0, equals + 1), placeholder(name));
+    }
+  });
+  // Join the consecutive strings
+  return parts.reduce((result, part) => {
+    if (typeof(part)=='string' && typeof(result[result.length - 1])=='string') {
+      result[result.length - 1] += part;
+    } else {
+      result.push(part);
+    }
+    return result;
+  }, []);
+}
+
+function maskOptions(options) {
+  options = options || {};
+  var mask = options.mask!==false;
+  return {
+    headers: mask ? (options.maskHeaders || MASKED_HEADERS).map(name => name.toLowerCase()) : [],
+    fields: mask ? (options.maskFields || MASKED_FIELDS) : [],
+    query: mask ? (options.maskQuery || MASKED_QUERY) : []
+  };
+}
+
+// The fields masked in the form, with `TOKEN_MASKED_FIELDS` if it's an OAuth2 token request
+function formMaskedFields(form, mask) {
+  return form.grant_type!=undefined && mask.fields.length>0 ? mask.fields.concat(TOKEN_MASKED_FIELDS) : mask.fields;
+}
+
+function isMasked(names, name) {
+  return names.indexOf(name)>=0 || names.indexOf(name.toLowerCase())>=0;
+}
+
+function hasJsonBody(reqOptions) {
+  return serializers.jsonBody(reqOptions)!==undefined;
+}
+
+// Whether the `request` module follows the redirects of the request
+function followsRedirects(reqOptions) {
+  if (reqOptions.followRedirect===false) {
+    return false;
+  }
+  var method = reqOptions.method || 'GET';
+  return method=='GET' || method=='HEAD' || !!reqOptions.followAllRedirects;
+}
+
+function findHeader(headers, name) {
+  return Object.keys(headers || {}).filter(k => k.toLowerCase()==name.toLowerCase())[0];
+}
+
+// The cookies of the `jar` option sent to the URL, as objects with `name` and `value`
+function jarCookies(reqOptions) {
+  var jar = reqOptions.jar;
+  var cookies = jar && typeof(jar.getCookieString)=='function' ? jar.getCookieString(reqOptions.url) : "";
+  return cookies ? cookies.split(/;\s*/).map(pair => {
+    var index = pair.indexOf("=");
+    return { name: pair.substr(0, index), value: pair.substr(index + 1) };
+  }) : [];
+}
+
+function bearerToken(auth) {
+  return typeof(auth.bearer)=='function' ? auth.bearer() : auth.bearer;
+}
+
+// The path of the file if the value is a file stream (or a `formData` value with a file stream)
+function filePath(value) {
+  if (value instanceof ReadStream) {
+    return value.path;
+  }
+  if (value && value.value instanceof ReadStream) {
+    return value.value.path;
+  }
+  return undefined;
+}
+
+
+/**
+ * Records the requests and responses of one or more `RequestClient` objects
+ * in the HAR format (HTTP Archive), that can be opened with the browsers dev tools
+ * and other tools, eg. to attach them to a bug report. The recorder is an
+ * interceptor, added to the clients with `client.use(recorder)`. Add it after the
+ * other interceptors to record the requests as they are sent.
+ */
+class HarRecorder {
+
+  /**
+   * @param options (optional) An object with the masking options
+   *                (`mask`, `maskHeaders` and `maskFields`)
+   */
+  constructor(options) {
+    this.options = options || {};
+    this.entries = [];
+    this._pending = new Map();
+  }
+
+  request(reqOptions, context) {
+    this._pending.set(context, {
+      startTime: new Date(),
+      request: harRequest(reqOptions, maskOptions(this.options))
+    });
+  }
+
+  response(httpResponse, context) {
+    this._addEntry(context, harResponse(httpResponse, maskOptions(this.options)));
+  }
+
+  error(error, context) {
+    this._addEntry(context, {
+      status: 0, statusText: "", httpVersion: "", cookies: [], headers: [],
+      content: { size: 0, mimeType: "" }, redirectURL: "", headersSize: -1, bodySize: -1,
+      _error: error.code || error.message
+    });
+  }
+
+  /**
+   * Returns the HAR object, with the entries recorded.
+   */
+  toJSON() {
+    return {
+      log: {
+        version: "1.2",
+        creator: { name: "reqclient", version: version },
+        pages: [],
+        entries: this.entries
+      }
+    };
+  }
+
+  /**
+   * Saves the entries recorded in a HAR file.
+   * @returns {Promise} resolved when the file is written
+   */
+  save(file) {
+    var content = JSON.stringify(this.toJSON(), null, 2);
+    return new Promise((resolve, reject) => {
+      fs.writeFile(file, content, err => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * Removes all the entries recorded.
+   */
+  clear() {
+    this.entries = [];
+    this._pending.clear();
+  }
+
+  _addEntry(context, response) {
+    var pending = this._pending.get(context);
+    if (!pending) {
+      return;   // Response of a request short-circuited by a previous interceptor
+    }
+    this._pending.delete(context);
+    var time = new Date().getTime() - pending.startTime.getTime();
+    this.entries.push({
+      startedDateTime: pending.startTime.toISOString(),
+      time: time,
+      request: pending.request,
+      response: response,
+      cache: {},
+      timings: { send: 0, wait: time, receive: 0 }
+    });
+  }
+}
+
+// The HAR request object of the `request` options
+function harRequest(reqOptions, mask) {
+  var headers = Object.assign({}, reqOptions.headers);
+  var auth = reqOptions.auth;
+  if (auth && (auth.user || auth.username)) {
+    headers["Authorization"] = "Basic " + Buffer.from((auth.user || auth.username) + ":"
+                                                      + (auth.pass || auth.password || "")).toString('base64');
+  } else if (auth && auth.bearer) {
+    headers["Authorization"] = "Bearer " + bearerToken(auth);
+  }
+  var cookies = jarCookies(reqOptions);
+  if (cookies.length > 0) {
+    var cookieHeader = findHeader(headers, "Cookie") || "Cookie";
+    headers[cookieHeader] = (headers[cookieHeader] ? headers[cookieHeader] + "; " : "")
+                      + cookies.map(cookie => cookie.name + "=" + cookie.value).join("; ");
+  }
+  var postData = harPostData(reqOptions, mask);
+  if (postData && !findHeader(headers, "Content-Type")) {
+    headers["Content-Type"] = postData.mimeType;
+  }
+  var queryString = [];
+  var query = querystring.parse(reqOptions.url.split("?")[1] || "");
+  for (var name in query) {
+    [].concat(query[name]).forEach(value => queryString.push({
+      name: name,
+      value: isMasked(mask.query, name) ? "${" + placeholder(name).env + "}" : value
+    }));
+  }
+  return {
+    method: reqOptions.method || 'GET',
+    url: joinUrlParts(maskUrlParts(reqOptions.url, mask.query)),
+    httpVersion: "HTTP/1.1",
+    cookies: cookies.map(cookie => ({
+      name: cookie.name,
+      value: mask.headers.indexOf("cookie")>=0 ? "${" + placeholder(cookie.name).env + "}" : cookie.value
+    })),
+    headers: harHeaders(headers, mask),
+    queryString: queryString,
+    postData: postData,
+    headersSize: -1,
+    bodySize: postData && postData.text!=undefined ? Buffer.byteLength(postData.text) : -1
+  };
+}
+
+function harPostData(reqOptions, mask) {
+  var masked = name => "${" + placeholder(name).env + "}";
+  var contentType = findHeader(reqOptions.headers, "Content-Type");
+  var mimeType = contentType ? reqOptions.headers[contentType] : undefined;
+  var params, k;
+  if (reqOptions.form!=undefined && typeof(reqOptions.form)=='object') {
+    var fields = formMaskedFields(reqOptions.form, mask);
+    params = [];
+    for (k in reqOptions.form) {
+      var value = reqOptions.form[k]==undefined ? "" : String(reqOptions.form[k]);
+      params.push({ name: k, value: isMasked(fields, k) ? masked(k) : value });
+    }
+    return {
+      mimeType: "application/x-www-form-urlencoded",
+      params: params,
+      text: params.map(param => querystring.escape(param.name) + "="
+                                + (isMasked(fields, param.name) ? param.value : querystring.escape(param.value))).join("&")
+    };
+  }
+  if (reqOptions.formData!=undefined) {
+    return {
+      mimeType: "multipart/form-data",
+      params: Object.keys(reqOptions.formData).map(name => {
+        var file = filePath(reqOptions.formData[name]);
+        if (file && !isMasked(mask.fields, name)) {
+          return { name: name, fileName: file };
+        }
+        return { name: name, value: isMasked(mask.fields, name) ? masked(name) : String(reqOptions.formData[name]) };
+      })
+    };
+  }
+  if (hasJsonBody(reqOptions)) {
+    return {
+      mimeType: mimeType || "application/json",
+      text: JSON.stringify(maskJson(serializers.jsonBody(reqOptions), mask.fields, masked))
+    };
+  }
+  if (reqOptions.form!=undefined) {
+    return { mimeType: "application/x-www-form-urlencoded", text: String(reqOptions.form) };
+  }
+  if (reqOptions.body!=undefined) {
+    var isStream = typeof(reqOptions.body.pipe)=='function';
+    return {
+      mimeType: mimeType || "application/octet-stream",
+      text: isStream ? "" : reqOptions.body.toString(),
+      comment: isStream ? "Body streamed" + (filePath(reqOptions.body) ? " from " + filePath(reqOptions.body) : "") : undefined
+    };
+  }
+  return undefined;
+}
+
+// The HAR response object of the response received
+function harResponse(httpResponse, mask) {
+  var headers = httpResponse.headers || {};
+  var mimeType = headers["content-type"] || "";
+  var body = httpResponse.body;
+  var masked = name => "${" + placeholder(name).env + "}";
+  if (body!=undefined && typeof(body)=='string' && /json/.test(mimeType) && mask.fields.length>0) {
+    try {
+      body = JSON.parse(body);
+    } catch (err) {
+      // Not a valid JSON, saved as is
+    }
+  }
+  var text = body==undefined ? "" : typeof(body)=='string' ? body
+           : Buffer.isBuffer(body) ? body.toString() : JSON.stringify(maskJson(body, mask.fields, masked));
+  if (typeof(body)=='string' && /x-www-form-urlencoded/.test(mimeType)) {
+    // Like the responses of some OAuth2 token endpoints, eg. "access_token=...&scope=..."
+    text = joinUrlParts(maskUrlParts("?" + body, mask.fields)).substr(1);
+  }
+  return {
+    status: httpResponse.statusCode,
+    statusText: httpResponse.statusMessage || STATUS_CODES[httpResponse.statusCode] || "",
+    httpVersion: "HTTP/" + (httpResponse.httpVersion || "1.1"),
+    cookies: [],
+    headers: harHeaders(headers, mask),
+    content: { size: Buffer.byteLength(text), mimeType: mimeType, text: text },
+    redirectURL: headers["location"] || "",
+    headersSize: -1,
+    bodySize: Buffer.byteLength(text)
+  };
+}
+
+/**
+ * Returns the `method`, `url`, `headers` and `body` (as text) of the
+ * `request` options with the sensitive values masked, as they are logged.
+ * @param reqOptions The `request` options
+ * @param options (optional) The masking options
+ */
+function maskRequest(reqOptions, options) {
+  var har = harRequest(reqOptions, maskOptions(options));
+  var postData = har.postData;
+  var body;
+  if (postData && postData.text==undefined) {
+    body = postData.params.map(param => querystring.escape(param.name) + "="
+                                        + (param.fileName ? "@" + param.fileName : param.value)).join("&");
+  } else if (postData) {
+    body = postData.comment || postData.text;
+  }
+  return { method: har.method, url: har.url, headers: headersObject(har.headers), body: body };
+}
+
+/**
+ * Returns the `headers` and `body` (as text) of the response
+ * with the sensitive values masked, as they are logged.
+ * @param httpResponse The response, with the body parsed or not
+ * @param options (optional) The masking options
+ */
+function maskResponse(httpResponse, options) {
+  var har = harResponse(httpResponse, maskOptions(options));
+  return { headers: headersObject(har.headers), body: har.content.text };
+}
+
+function headersObject(harHeaders) {
+  var result = {};
+  harHeaders.forEach(header => {
+    result[header.name] = result[header.name]!=undefined ? result[header.name] + ", " + header.value : header.value;
+  });
+  return result;
+}
+
+function harHeaders(headers, mask) {
+  var result = [];
+  for (var name in headers) {
+    [].concat(headers[name]).forEach(value => result.push({
+      name: name,
+      value: isMasked(mask.headers, name) ? "${" + placeholder(name).env + "}" : String(value)
+    }));
+  }
+  return result;
+}
+
+
+module.exports = {
+  toCurl: toCurl,
+  shellQuote: shellQuote,
+  HarRecorder: HarRecorder,
+  maskRequest: maskRequest,
+  maskResponse: maskResponse,
+  maskUrl: maskUrl,
+  MASKED_HEADERS: MASKED_HEADERS,
+  MASKED_FIELDS: MASKED_FIELDS,
+  MASKED_QUERY: MASKED_QUERY
+};
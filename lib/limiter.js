@@ -0,0 +1,233 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var url = require('url');
+
+
+/**
+ * Limits the rate of the requests (token bucket) and the number of requests
+ * running at the same time, queueing the requests that exceed the limits.
+ * The limits are applied independently by key: all the requests of the
+ * client, by host, or by any key returned by a function, eg. an URI prefix.
+ */
+class RateLimiter {
+
+  /**
+   * @param options An object with the following options:
+   * - rateLimit (optional) An object with the max number of `requests` allowed
+   *             per `interval` (in milliseconds, default 1000)
+   * - maxConcurrent (optional) The max number of requests running at the same time
+   * - maxQueue (optional) The max number of requests waiting in the queue
+   * - limitBy (optional, default "client") "client" to apply the limits to all the requests,
+   *           "host" to apply them by host, or a function that receives the URL and
+   *           returns the key of the limits, eg. an URI prefix
+   * - slowdown (optional, default true) Wait before sending more requests when a response
+   *            has the header `X-RateLimit-Remaining: 0`, or a `Retry-After` header
+   *            with status 429 or 503
+   */
+  constructor(options) {
+    this.rateLimit = options.rateLimit ? Object.assign({interval: 1000}, options.rateLimit) : null;
+    this.maxConcurrent = options.maxConcurrent || Infinity;
+    this.maxQueue = options.maxQueue!=undefined ? options.maxQueue : Infinity;
+    this.limitBy = options.limitBy || "client";
+    this.slowdown = options.slowdown!=undefined ? options.slowdown : true;
+    this._states = new Map();
+  }
+
+  /**
+   * Returns the key of the limits applied to the URL.
+   */
+  key(requestUrl) {
+    if (typeof(this.limitBy)=='function') {
+      return String(this.limitBy(requestUrl));
+    }
+    return this.limitBy=="host" ? url.parse(requestUrl).host : "";
+  }
+
+  /**
+   * Returns `true` if the queue of the key is full, and a new
+   * request would have to wait in the queue to be sent.
+   */
+  isFull(key) {
+    var state = this._states.get(key);
+    return !!state && state.queue.length >= this.maxQueue && !this._canStart(state);
+  }
+
+  /**
+   * Requests a slot to make a request. Returns an object with:
+   * - promise A `Promise` resolved with a function to call when the
+   *   request finishes, that receives the response (if any)
+   * - queued `true` if the request has to wait in the queue
+   * - cancel(error) Function that removes the request from
+   *   the queue if it's still waiting, rejecting the promise with `error`
+   * @param key The key of the limits, see `key()`
+   * @param priority (optional, default 0) The requests with higher priority leave the queue first
+   */
+  acquire(key, priority) {
+    var self = this;
+    var state = self._state(key);
+    var waiter = { priority: priority || 0 };
+    waiter.promise = new Promise((resolve, reject) => {
+      waiter.resolve = resolve;
+      waiter.reject = reject;
+    });
+    // Insert after the waiters with the same or higher priority
+    var index = state.queue.findIndex(other => other.priority < waiter.priority);
+    state.queue.splice(index < 0 ? state.queue.length : index, 0, waiter);
+    self._process(key, state);
+    return {
+      promise: waiter.promise,
+      queued: !waiter.started,
+      cancel: error => {
+        var index = state.queue.indexOf(waiter);
+        if (index >= 0) {
+          state.queue.splice(index, 1);
+          waiter.reject(error);
+          self._process(key, state);
+        }
+      }
+    };
+  }
+
+  /**
+   * Stops sending requests with the key during `ms` milliseconds.
+   */
+  pause(key, ms) {
+    var state = this._state(key);
+    state.pausedUntil = Math.max(state.pausedUntil, new Date().getTime() + ms);
+    this._process(key, state);
+  }
+
+  /**
+   * Returns the number of requests `queued` and `running`, and the time
+   * in milliseconds the requests are `paused` of the key.
+   */
+  stats(key) {
+    var state = this._states.get(key);
+    if (!state) {
+      return { queued: 0, running: 0, paused: 0 };
+    }
+    return {
+      queued: state.queue.length,
+      running: state.running,
+      paused: Math.max(0, state.pausedUntil - new Date().getTime())
+    };
+  }
+
+  // Returns the milliseconds to wait before sending more requests according to the response
+  // headers, or `undefined`: the `Retry-After` header with status 429 or 503, or the
+  // `X-RateLimit-Reset` header (or one interval if it's missing) with `X-RateLimit-Remaining: 0`
+  _slowdownDelay(httpResponse) {
+    var headers = httpResponse.headers || {};
+    var now = new Date().getTime();
+    if ((httpResponse.statusCode==429 || httpResponse.statusCode==503) && headers["retry-after"]) {
+      var retryAfter = headers["retry-after"];
+      return /^\d+$/.test(retryAfter) ? parseInt(retryAfter, 10) * 1000 : Date.parse(retryAfter) - now;
+    }
+    if (headers["x-ratelimit-remaining"]!=undefined && Number(headers["x-ratelimit-remaining"]) <= 0) {
+      var reset = Number(headers["x-ratelimit-reset"]);
+      if (!reset) {
+        return this.rateLimit ? this.rateLimit.interval : 1000;
+      }
+      // The reset time can be a timestamp in seconds or the seconds to wait
+      return reset > 1000000000 ? reset * 1000 - now : reset * 1000;
+    }
+    return undefined;
+  }
+
+  _state(key) {
+    var state = this._states.get(key);
+    if (!state) {
+      state = {
+        queue: [],
+        running: 0,
+        tokens: this.rateLimit ? this.rateLimit.requests : Infinity,
+        lastRefill: new Date().getTime(),
+        pausedUntil: 0,
+        timer: null
+      };
+      this._states.set(key, state);
+    }
+    return state;
+  }
+
+  // Whether a new request can be sent now: there is a free slot and a token of the
+  // rate limit, the requests are not paused and there are no other requests waiting
+  _canStart(state) {
+    var now = new Date().getTime();
+    if (state.queue.length > 0 || state.running >= this.maxConcurrent || state.pausedUntil > now) {
+      return false;
+    }
+    if (this.rateLimit) {
+      var rate = this.rateLimit.requests / this.rateLimit.interval;
+      return Math.min(this.rateLimit.requests, state.tokens + (now - state.lastRefill) * rate) >= 1;
+    }
+    return true;
+  }
+
+  // Starts the requests waiting in the queue that can be sent
+  _process(key, state) {
+    var self = this;
+    if (state.timer) {
+      clearTimeout(state.timer);
+      state.timer = null;
+    }
+    while (state.queue.length > 0 && state.running < self.maxConcurrent) {
+      var now = new Date().getTime();
+      var wait = state.pausedUntil - now;
+      if (self.rateLimit) {
+        var rate = self.rateLimit.requests / self.rateLimit.interval;   // Tokens by millisecond
+        state.tokens = Math.min(self.rateLimit.requests, state.tokens + (now - state.lastRefill) * rate);
+        state.lastRefill = now;
+        if (state.tokens < 1) {
+          wait = Math.max(wait, Math.ceil((1 - state.tokens) / rate));
+        }
+      }
+      if (wait > 0) {
+        state.timer = setTimeout(() => self._process(key, state), wait);
+        return;
+      }
+      state.tokens--;
+      state.running++;
+      self._start(key, state, state.queue.shift());
+    }
+    if (state.queue.length==0 && state.running==0 && state.pausedUntil <= new Date().getTime()
+        && (!self.rateLimit || state.tokens >= self.rateLimit.requests)) {
+      self._states.delete(key);   // Nothing pending, the state is created again if needed
+    }
+  }
+
+  _start(key, state, waiter) {
+    var self = this;
+    var released = false;
+    waiter.started = true;
+    waiter.resolve(httpResponse => {
+      if (released) return;
+      released = true;
+      state.running--;
+      var delay = httpResponse && self.slowdown ? self._slowdownDelay(httpResponse) : undefined;
+      if (delay > 0) {
+        state.pausedUntil = Math.max(state.pausedUntil, new Date().getTime() + delay);
+      }
+      self._process(key, state);
+    });
+  }
+}
+
+
+module.exports = {
+  RateLimiter: RateLimiter
+};
@@ -0,0 +1,486 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var querystring = require('querystring');
+var PassThrough = require('stream').PassThrough;
+var transport = require('./transport');
+var serializers = require('./serializers');
+
+
+/**
+ * A mocked response for the requests that match a method and an URI,
+ * created with `MockTransport.expect()`.
+ */
+class MockExpectation {
+
+  constructor(method, uri) {
+    this.method = method.toUpperCase();
+    this.uri = uri;
+    this.calls = 0;
+    this._times = 1;
+    this._delay = 0;
+    this._response = { statusCode: 200, headers: {}, body: "" };
+  }
+
+  /**
+   * Responds with the given status, body and headers. If the body
+   * isn't a string, it's sent as JSON.
+   */
+  reply(statusCode, body, headers) {
+    var responseHeaders = {};
+    for (var k in headers) {
+      responseHeaders[k.toLowerCase()] = headers[k];
+    }
+    if (body!=undefined && typeof(body)!='string' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+      if (!responseHeaders["content-type"]) {
+        responseHeaders["content-type"] = "application/json";
+      }
+    }
+    this._response = { statusCode: statusCode, headers: responseHeaders, body: body!=undefined ? body : "" };
+    return this;
+  }
+
+  /**
+   * Fails with the given error, or with an error with the given
+   * code, eg. `"ECONNREFUSED"` or `"ETIMEDOUT"`.
+   */
+  replyWithError(error) {
+    if (typeof(error)=='string') {
+      var code = error;
+      error = new Error("Mocked error " + code);
+      error.code = code;
+    }
+    this._error = error;
+    return this;
+  }
+
+  /**
+   * Only matches requests with this body: an object or string
+   * compared with the body sent, or a function that returns `true`
+   * if the body given as argument matches.
+   */
+  withBody(body) {
+    this._body = body;
+    return this;
+  }
+
+  /**
+   * Only matches requests with these headers (the names are case-insensitive).
+   */
+  withHeaders(headers) {
+    this._headers = headers;
+    return this;
+  }
+
+  /**
+   * Delays the response the given milliseconds.
+   */
+  delay(ms) {
+    this._delay = ms;
+    return this;
+  }
+
+  /**
+   * Number of times the expectation is used (1 by default).
+   */
+  times(count) {
+    this._times = count;
+    return this;
+  }
+
+  /**
+   * The expectation can be used unlimited times.
+   */
+  persist() {
+    this._times = Infinity;
+    return this;
+  }
+
+  isDone() {
+    return this._times==Infinity ? true : this.calls >= this._times;
+  }
+
+  toString() {
+    return this.method + " " + (this.uri instanceof RegExp ? this.uri.toString() : JSON.stringify(this.uri));
+  }
+}
+
+
+/**
+ * Transport that replaces the HTTP calls made by one or more `RequestClient`
+ * objects with mocked responses. All the client logic (URL formatting, auth,
+ * cache, logging...) is executed as in a real request, except the network access,
+ * also in the calls made with `stream()`.
+ */
+class MockTransport {
+
+  /**
+   * @param options (optional) An object with the following options:
+   * - record (optional, default false) If it's set to `true`, the requests that don't
+   *          match any expectation are sent to the server, and recorded to be saved
+   *          later as a fixture with `save()`
+   */
+  constructor(options) {
+    this.record = !!(options && options.record);
+    this.expectations = [];
+    this.unmatched = [];
+    this.recorded = [];
+    this._transports = new Map();   // The original transports of the clients attached
+  }
+
+  /**
+   * Replaces the transport of the client (and its OAuth2 client) with the mock.
+   * The clients created later with `client.extend()` share the mock, and their
+   * requests are matched with the URIs of the expectations relative to the `baseUrl`
+   * of this client. The clients created before have to be attached too.
+   * @returns {MockTransport} the mock itself
+   */
+  attach(client) {
+    var self = this;
+    if (!self._transports.has(client)) {
+      self._transports.set(client, client.transport);
+      client.transport = { request: (reqOptions, callback) => self._handle(client, reqOptions, callback) };
+    }
+    if (client.oauth2) {
+      self.attach(client.oauth2._client);
+    }
+    return self;
+  }
+
+  /**
+   * Restores the original transport of the client.
+   * @returns {MockTransport} the mock itself
+   */
+  detach(client) {
+    if (this._transports.has(client)) {
+      client.transport = this._transports.get(client);
+      this._transports.delete(client);
+    }
+    if (client.oauth2) {
+      this.detach(client.oauth2._client);
+    }
+    return this;
+  }
+
+  /**
+   * Adds an expectation for the requests with the given method and URI.
+   * @param method The HTTP method, or "*" to match any method
+   * @param uri The URI, relative to the `baseUrl` of the client or absolute,
+   *            that can contain parameters like "users/{id}" matching any value.
+   *            If it doesn't contain a query string, any query is matched,
+   *            otherwise the parameters given have to be present in the request.
+   *            It can be also a `RegExp` tested with the full URL, or an
+   *            object like the ones passed to the `get()` calls
+   * @returns {MockExpectation} the expectation, to configure the response
+   */
+  expect(method, uri) {
+    var expectation = new MockExpectation(method, uri);
+    this.expectations.push(expectation);
+    return expectation;
+  }
+
+  /**
+   * Loads expectations from a fixture file saved with `save()`, from a HAR file
+   * (eg. saved with `HarRecorder`), or from an array of entries. Each entry
+   * is matched once, in the same order they were recorded, and only by the
+   * requests with the same body if the body was recorded.
+   * @returns {MockTransport} the mock itself
+   */
+  load(fixture) {
+    var self = this;
+    var content = typeof(fixture)=='string' ? JSON.parse(fs.readFileSync(fixture, 'utf8')) : fixture;
+    var entries = content.log ? content.log.entries.map(harToEntry) : content.entries || content;
+    entries.forEach(entry => {
+      var expectation = self.expect(entry.method, entry.url);
+      if (entry.body!=undefined) {
+        expectation.withBody(entry.body);
+      }
+      if (entry.error) {
+        expectation.replyWithError(entry.error);
+      } else {
+        var body = entry.response.encoding=='base64' ? Buffer.from(entry.response.body || "", 'base64')
+                                                     : entry.response.body;
+        expectation.reply(entry.response.statusCode, body, entry.response.headers);
+      }
+    });
+    return self;
+  }
+
+  /**
+   * Saves the requests recorded in a JSON fixture file, to be loaded with `load()`.
+   * @returns {Promise} resolved when the file is written
+   */
+  save(file) {
+    var content = JSON.stringify({ entries: this.recorded }, null, 2);
+    return new Promise((resolve, reject) => {
+      fs.writeFile(file, content, err => err ? reject(err) : resolve());
+    });
+  }
+
+  /**
+   * Throws an error if there are expectations not used, or
+   * requests made that didn't match any expectation.
+   */
+  verify() {
+    var errors = [];
+    this.expectations.filter(expectation => !expectation.isDone()).forEach(expectation => {
+      errors.push("Expectation not satisfied: " + expectation + " (called " + expectation.calls
+                  + " of " + expectation._times + " times)");
+    });
+    this.unmatched.forEach(req => errors.push("Unexpected request: " + req.method + " " + req.url));
+    if (errors.length > 0) {
+      throw new Error(errors.join("\n"));
+    }
+  }
+
+  /**
+   * Removes all the expectations and the requests recorded.
+   */
+  reset() {
+    this.expectations = [];
+    this.unmatched = [];
+    this.recorded = [];
+  }
+
+  // Handles the request of the client, with the same signature of the transports: with
+  // `callback` the response is given with the body, otherwise the request returned is
+  // a readable stream with the body, that emits the `response` event (see `stream()`)
+  _handle(client, reqOptions, callback) {
+    var self = this;
+    var req = new PassThrough();
+    var body = serializers.jsonBody(reqOptions);
+    if (body===undefined) {
+      body = reqOptions.form || reqOptions.formData || reqOptions.body;
+    }
+    var respond = (error, httpResponse) => {
+      if (callback) {
+        return error ? callback(error) : callback(null, httpResponse, httpResponse.body);
+      }
+      if (error) {
+        return req.emit('error', error);
+      }
+      req.emit('response', httpResponse);
+      req.end(httpResponse.body);
+    };
+    var expectation = self.expectations.filter(expectation =>
+      !expectation.isDone() || expectation._times==Infinity
+    ).filter(expectation => self._matches(expectation, client, reqOptions, body))[0];
+
+    if (!expectation) {
+      if (self.record) {
+        return self._send(client, reqOptions, body, callback);
+      }
+      self.unmatched.push({ method: reqOptions.method, url: reqOptions.url });
+      var error = new Error("No mock expectation matches " + reqOptions.method + " " + reqOptions.url);
+      error.code = 'ENOMOCK';
+      setImmediate(() => respond(error));
+      return Object.assign(req, { abort: () => {} });
+    }
+
+    expectation.calls++;
+    if (body!=undefined && typeof(body.pipe)=='function') {
+      body.resume();    // The stream uploaded is consumed, like if it's sent
+    }
+    var timeout;
+    var timer = setTimeout(() => {
+      clearTimeout(timeout);
+      if (expectation._error) {
+        return respond(expectation._error);
+      }
+      var responseBody = expectation._response.body;
+      // Like the transports, the body is a `Buffer` only with the `encoding: null` option
+      if (reqOptions.encoding===null && typeof(responseBody)=='string') {
+        responseBody = Buffer.from(responseBody);
+      } else if (reqOptions.encoding!==null && Buffer.isBuffer(responseBody)) {
+        responseBody = responseBody.toString(reqOptions.encoding || "utf8");
+      }
+      var httpResponse = {
+        statusCode: expectation._response.statusCode,
+        headers: Object.assign({}, expectation._response.headers),
+        body: responseBody,
+        request: { method: reqOptions.method, uri: { href: reqOptions.url } }
+      };
+      storeCookies(reqOptions, httpResponse);
+      respond(null, httpResponse);
+    }, expectation._delay);
+    if (reqOptions.timeout) {
+      // The responses delayed more than the `timeout` fail like the ones of a slow server
+      timeout = setTimeout(() => {
+        clearTimeout(timer);
+        var error = new Error("ESOCKETTIMEDOUT");
+        error.code = "ESOCKETTIMEDOUT";
+        error.connect = false;
+        respond(error);
+      }, reqOptions.timeout);
+    }
+    return Object.assign(req, {
+      abort: () => {
+        clearTimeout(timer);
+        clearTimeout(timeout);
+        req.emit('abort');
+      }
+    });
+  }
+
+  // Sends the request with the original transport of the client, and records it
+  _send(client, reqOptions, body, callback) {
+    var self = this;
+    var original = self._transports.get(client);
+    if (callback) {
+      return transport.send(original, reqOptions, (error, httpResponse, responseBody) => {
+        self._record(reqOptions, body, error, httpResponse);
+        callback(error, httpResponse, responseBody);
+      });
+    }
+    var req = transport.send(original, reqOptions);
+    req.on('response', httpResponse => {
+      var chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => self._record(reqOptions, body, null, {
+        statusCode: httpResponse.statusCode,
+        headers: httpResponse.headers,
+        body: Buffer.concat(chunks)
+      }));
+    });
+    req.on('error', error => self._record(reqOptions, body, error));
+    return req;
+  }
+
+  _matches(expectation, client, reqOptions, body) {
+    if (expectation.method!="*" && expectation.method!=reqOptions.method) {
+      return false;
+    }
+    if (!this._matchesUrl(expectation.uri, client, reqOptions.url)) {
+      return false;
+    }
+    if (expectation._headers) {
+      var headers = {};
+      for (var k in reqOptions.headers) {
+        headers[k.toLowerCase()] = String(reqOptions.headers[k]);
+      }
+      for (var name in expectation._headers) {
+        if (headers[name.toLowerCase()]!=String(expectation._headers[name])) {
+          return false;
+        }
+      }
+    }
+    if (expectation._body!=undefined) {
+      if (typeof(expectation._body)=='function') {
+        return !!expectation._body(body);
+      }
+      var expected = typeof(expectation._body)=='string' ? expectation._body : JSON.stringify(expectation._body);
+      var actual = typeof(body)=='string' ? body : JSON.stringify(body);
+      return expected==actual;
+    }
+    return true;
+  }
+
+  _matchesUrl(uri, client, url) {
+    if (uri instanceof RegExp) {
+      return uri.test(url);
+    }
+    var expected = client._fullUrl(typeof(uri)=='string' ? uri : client._parseUri(uri));
+    var expectedParts = expected.split("?");
+    var actualParts = url.split("?");
+    // Parameters like "{id}" match any value in the path
+    var pattern = expectedParts[0].split(/\{[^}]+\}/).map(part => part.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("[^/]+");
+    if (!new RegExp("^" + pattern + "$").test(actualParts[0])) {
+      return false;
+    }
+    if (expectedParts.length > 1) {
+      var expectedQuery = querystring.parse(expectedParts[1]);
+      var actualQuery = querystring.parse(actualParts[1] || "");
+      for (var k in expectedQuery) {
+        if (String(expectedQuery[k])!=String(actualQuery[k])) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+
+  _record(reqOptions, body, error, httpResponse) {
+    var entry = { method: reqOptions.method, url: reqOptions.url };
+    if (body!=undefined && !hasStream(body)) {
+      entry.body = body;
+    }
+    if (error) {
+      entry.error = error.code || error.message;
+    } else {
+      entry.response = {
+        statusCode: httpResponse.statusCode,
+        headers: httpResponse.headers,
+        body: httpResponse.body
+      };
+      if (Buffer.isBuffer(httpResponse.body)) {
+        // Binary bodies are saved in base64, like in the HAR files
+        entry.response.body = httpResponse.body.toString('base64');
+        entry.response.encoding = 'base64';
+      }
+    }
+    this.recorded.push(entry);
+  }
+}
+
+
+// Converts a HAR entry in an entry like the ones recorded by `MockTransport`
+function harToEntry(harEntry) {
+  var entry = { method: harEntry.request.method, url: harEntry.request.url };
+  var response = harEntry.response;
+  if (response.status==0 && response._error) {
+    entry.error = response._error;
+    return entry;
+  }
+  var headers = {};
+  response.headers.forEach(header => {
+    var name = header.name.toLowerCase();
+    headers[name] = headers[name]!=undefined ? [].concat(headers[name], header.value) : header.value;
+  });
+  var content = response.content || {};
+  entry.response = {
+    statusCode: response.status,
+    headers: headers,
+    body: content.encoding=='base64' ? Buffer.from(content.text || "", 'base64') : content.text || ""
+  };
+  return entry;
+}
+
+
+// Whether the body is a stream or a multipart form with files, that can't be recorded
+function hasStream(body) {
+  if (typeof(body.pipe)=='function') {
+    return true;
+  }
+  return typeof(body)=='object' && !Buffer.isBuffer(body) && Object.keys(body).some(name =>
+    [].concat(body[name]).some(value => value!=undefined && (typeof(value.pipe)=='function'
+                                        || (value.value!=undefined && typeof(value.value.pipe)=='function'))));
+}
+
+// Stores the cookies of the mocked response in the `jar` option, like the transports do
+function storeCookies(reqOptions, httpResponse) {
+  var jar = reqOptions.jar;
+  var setCookie = httpResponse.headers["set-cookie"];
+  if (jar && typeof(jar.setCookie)=='function' && setCookie!=undefined) {
+    [].concat(setCookie).forEach(cookie => jar.setCookie(cookie, reqOptions.url, {ignoreError: true}));
+  }
+}
+
+module.exports = {
+  MockTransport: MockTransport,
+  MockExpectation: MockExpectation
+};
@@ -0,0 +1,242 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var url = require('url');
+
+// Pagination strategies used by `RequestClient.paginate()`.
+//
+// A strategy is an object with the following functions, that receive
+// the pagination options:
+// - first(uri, options) (optional) Returns the URI of the first page, by
+//   default the URI given. The URIs are objects like `{uri, params, query}`
+// - next(page, options) Returns the URI of the next page, or `null` if there are
+//   no more pages. `page` is an object with the `uri` requested, the full `url`, the
+//   full `response`, the `body`, the `items` of the page and its `number` (from 1)
+
+var STRATEGIES = {
+
+  // RFC 5988 `Link` header with rel="next"
+  link: {
+    next: page => {
+      var next = parseLinkHeader(page.response.headers && page.response.headers["link"]).next;
+      return next ? { uri: url.resolve(page.url, next) } : null;
+    }
+  },
+
+  // `offset` and `limit` query parameters
+  offset: {
+    first: (uri, options) => withQuery(uri, options.offsetParam || "offset", options.offset || 0,
+                                       options.limitParam || "limit", options.pageSize),
+    next: (page, options) => {
+      if (isLastPage(page, options)) {
+        return null;
+      }
+      var offset = Number(page.uri.query[options.offsetParam || "offset"]) + page.items.length;
+      return withQuery(page.uri, options.offsetParam || "offset", offset);
+    }
+  },
+
+  // `page` and `per_page` query parameters
+  page: {
+    first: (uri, options) => withQuery(uri, options.pageParam || "page", options.firstPage!=undefined ? options.firstPage : 1,
+                                       options.perPageParam || "per_page", options.pageSize),
+    next: (page, options) => {
+      if (isLastPage(page, options)) {
+        return null;
+      }
+      return withQuery(page.uri, options.pageParam || "page", Number(page.uri.query[options.pageParam || "page"]) + 1);
+    }
+  },
+
+  // Cursor token returned in the body, sent in the `cursor` query parameter
+  cursor: {
+    next: (page, options) => {
+      var cursor = typeof(options.cursor)=='function' ? options.cursor(page.body, page.response)
+                                                     : getPath(page.body, options.cursor || "next_cursor");
+      if (cursor==undefined || cursor==="" || page.items.length==0) {
+        return null;
+      }
+      return withQuery(page.uri, options.cursorParam || "cursor", cursor);
+    }
+  }
+};
+
+
+/**
+ * Iterates over the items of a paged endpoint, requesting the pages
+ * when they are needed. Created with `RequestClient.paginate()`.
+ */
+class Paginator {
+
+  constructor(client, uri, options) {
+    this.client = client;
+    this.options = options || {};
+    var strategy = this.options.strategy || "link";
+    if (typeof(strategy)=='function') {
+      strategy = { next: strategy };
+    } else if (typeof(strategy)=='string') {
+      if (!STRATEGIES[strategy]) {
+        throw new Error("Unknown pagination strategy \"" + strategy + "\"");
+      }
+      strategy = STRATEGIES[strategy];
+    }
+    this.strategy = strategy;
+    this.pages = 0;
+    this.count = 0;
+    this._items = [];
+    var first = typeof(uri)=='string' ? { uri: uri } : Object.assign({}, uri);
+    this._nextUri = strategy.first ? strategy.first(first, this.options) : first;
+    this._queue = Promise.resolve();
+    if (typeof(Symbol)!='undefined' && Symbol.asyncIterator) {
+      this[Symbol.asyncIterator] = () => this;
+    }
+  }
+
+  /**
+   * Returns a `Promise` resolved with the next item, like
+   * the async iterators: `{value: item, done: false}`, or
+   * `{done: true}` when there are no more items.
+   */
+  next() {
+    var self = this;
+    // The calls are chained to not request the same page twice
+    var result = self._queue.then(() => self._nextItem());
+    self._queue = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Returns a `Promise` resolved with an array of all the items,
+   * up to `maxItems` (by default the `maxItems` option).
+   */
+  collectAll(maxItems) {
+    var self = this;
+    var items = [];
+    maxItems = maxItems!=undefined ? maxItems : self.options.maxItems;
+    var collect = () => {
+      if (maxItems!=undefined && items.length >= maxItems) {
+        return items;
+      }
+      return self.next().then(result => {
+        if (result.done) {
+          return items;
+        }
+        items.push(result.value);
+        return collect();
+      });
+    };
+    return collect();
+  }
+
+  _nextItem() {
+    var self = this;
+    if (self.options.maxItems!=undefined && self.count >= self.options.maxItems) {
+      return Promise.resolve({ done: true });
+    }
+    if (self._items.length > 0) {
+      self.count++;
+      return Promise.resolve({ value: self._items.shift(), done: false });
+    }
+    if (!self._nextUri || (self.options.maxPages!=undefined && self.pages >= self.options.maxPages)) {
+      return Promise.resolve({ done: true });
+    }
+    return self._fetchPage().then(() => self._nextItem());
+  }
+
+  // Requests the next page, like any other GET made by the client
+  _fetchPage() {
+    var self = this;
+    var uri = self._nextUri;
+    self._nextUri = null;
+    return self.client.get(uri, Object.assign({}, self.options, { fullResponse: true })).then(response => {
+      var body = self.client._prepareResponseBody(response.body, response, { fullResponse: false });
+      var items = typeof(self.options.items)=='function' ? self.options.items(body, response)
+                : self.options.items ? getPath(body, self.options.items) : defaultItems(body);
+      items = items || [];
+      self.pages++;
+      self._items = items.slice();
+      self._nextUri = self.strategy.next({
+        uri: uri,
+        url: self.client._fullUrl(self.client._parseUri(uri, self.options)),
+        response: response,
+        body: body,
+        items: items,
+        number: self.pages
+      }, self.options) || null;
+      if (typeof(self._nextUri)=='string') {
+        self._nextUri = { uri: self._nextUri };
+      }
+    });
+  }
+}
+
+// The items of the page if the body is an array,
+// or an array in the `items`, `data` or `results` field
+function defaultItems(body) {
+  if (body instanceof Array) {
+    return body;
+  }
+  if (body && typeof(body)=='object') {
+    return ["items", "data", "results"].map(name => body[name]).filter(value => value instanceof Array)[0];
+  }
+  return undefined;
+}
+
+// Returns `true` if the page has less items than the page size
+function isLastPage(page, options) {
+  return page.items.length==0 || (options.pageSize!=undefined && page.items.length < options.pageSize);
+}
+
+// Returns a copy of the URI with the query parameters given as name/value pairs
+// (the parameters with `undefined` value are ignored)
+function withQuery(uri) {
+  var query = Object.assign({}, uri.query);
+  for (var i=1; i<arguments.length; i+=2) {
+    if (arguments[i+1]!=undefined) {
+      query[arguments[i]] = arguments[i+1];
+    }
+  }
+  return Object.assign({}, uri, { query: query });
+}
+
+// Returns the value of the field `path` in `obj`, like "meta.next_cursor"
+function getPath(obj, path) {
+  return path.split(".").reduce((value, name) => value!=undefined ? value[name] : undefined, obj);
+}
+
+/**
+ * Parses a RFC 5988 `Link` header, returning an object
+ * with the URLs by `rel` value, eg. `{next: "...", last: "..."}`.
+ */
+function parseLinkHeader(header) {
+  var links = {};
+  var regex = /<([^>]*)>((?:\s*;\s*[^;,]+)*)/g;
+  var match;
+  while ((match = regex.exec(header || "")) !== null) {
+    var rel = /;\s*rel\s*=\s*"?([^";]+)"?/i.exec(match[2]);
+    if (rel) {
+      rel[1].trim().split(/\s+/).forEach(name => links[name.toLowerCase()] = match[1]);
+    }
+  }
+  return links;
+}
+
+
+module.exports = {
+  Paginator: Paginator,
+  STRATEGIES: STRATEGIES,
+  parseLinkHeader: parseLinkHeader
+};
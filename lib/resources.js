@@ -0,0 +1,171 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+
+// API clients generated from a map of resources, used by `RequestClient.resources()`.
+//
+// The map has the names of the endpoints as keys, and the endpoint definitions as
+// values, objects with the following fields:
+// - uri The URI template, like "users/{id}"
+// - method (optional, default "GET") The HTTP method
+// - params (optional) The names of the required parameters, besides the ones
+//          in the URI template, that are always required
+// - query (optional) Default query parameters
+// - contentType (optional) The content type of the body, eg. "multipart/form-data"
+// - headers (optional) Headers sent
+// - cacheTtl (optional) TTL in seconds of the responses cached
+// - options (optional) Other options passed to the calls, like `retry` or `schema`
+//
+// The values that are not endpoint definitions (objects without `uri`)
+// are groups of endpoints, with the same format.
+
+var BODY_METHODS = ["POST", "PUT", "PATCH"];
+var OPENAPI_METHODS = ["get", "put", "post", "delete", "options", "head", "patch"];
+
+
+/**
+ * Creates the API object with a function for each endpoint of the map.
+ */
+function createResources(client, map, prefix) {
+  var api = {};
+  Object.keys(map).forEach(name => {
+    var value = map[name];
+    var fullName = prefix ? prefix + "." + name : name;
+    api[name] = typeof(value.uri)=='string' ? createEndpoint(client, value, fullName)
+                                            : createResources(client, value, fullName);
+  });
+  return api;
+}
+
+// Creates the function that calls the endpoint. The arguments are:
+// - params An object with the values of the URI parameters, the other values
+//   are sent as query parameters. Omitted if the method has a body (POST, PUT
+//   or PATCH) and there are no URI parameters or required parameters
+// - data The body of the request, only if the method has a body
+// - options The options of the call, including `query` with more query parameters
+function createEndpoint(client, definition, name) {
+  var method = (definition.method || "GET").toUpperCase();
+  var uriParams = (definition.uri.match(/\{[^}]+\}/g) || []).map(placeholder => placeholder.slice(1, -1));
+  var required = uriParams.concat((definition.params || []).filter(param => uriParams.indexOf(param)<0));
+  var hasBody = BODY_METHODS.indexOf(method)>=0;
+  var hasParams = required.length > 0 || !hasBody;
+  var endpoint = function() {
+    var args = Array.prototype.slice.call(arguments);
+    var params = (hasParams ? args.shift() : undefined) || {};
+    var data = hasBody ? args.shift() : undefined;
+    var options = Object.assign({}, definition.options, args.shift());
+    var missing = required.filter(param => params[param]==undefined);
+    if (missing.length > 0) {
+      return Promise.reject(new Error("Missing required parameters in " + name + ": " + missing.join(", ")));
+    }
+    var uri = { uri: definition.uri, params: {}, query: Object.assign({}, definition.query) };
+    Object.keys(params).forEach(param => {
+      if (uriParams.indexOf(param)>=0) {
+        uri.params[param] = params[param];
+      } else {
+        uri.query[param] = params[param];
+      }
+    });
+    Object.assign(uri.query, options.query);
+    delete options.query;
+    if (definition.headers || definition.contentType) {
+      options.headers = Object.assign({}, definition.headers,
+                                      definition.contentType ? {"Content-Type": definition.contentType} : {},
+                                      options.headers);
+    }
+    if (definition.cacheTtl!=undefined && options.cacheTtl==undefined) {
+      options.cacheTtl = definition.cacheTtl;
+    }
+    return client.request(method, uri, data, options);
+  };
+  endpoint.method = method;
+  endpoint.uri = definition.uri;
+  return endpoint;
+}
+
+/**
+ * Creates the map of resources of an OpenAPI 3 document (an object, or the path
+ * of a JSON file). The endpoints are grouped by the first tag of the operations,
+ * and named by the `operationId` (or the method and the path) in camel case.
+ */
+function openApiResources(document) {
+  if (typeof(document)=='string') {
+    document = JSON.parse(fs.readFileSync(document, 'utf8'));
+  }
+  if (!document.openapi || String(document.openapi).charAt(0)!="3") {
+    throw new Error("The document is not an OpenAPI 3 document");
+  }
+  var map = {};
+  Object.keys(document.paths || {}).forEach(path => {
+    var pathItem = resolveRef(document, document.paths[path]);
+    OPENAPI_METHODS.filter(method => pathItem[method]).forEach(method => {
+      var operation = pathItem[method];
+      var definition = { method: method.toUpperCase(), uri: path.replace(/^\//, "") };
+      var parameters = (pathItem.parameters || []).concat(operation.parameters || [])
+                         .map(parameter => resolveRef(document, parameter));
+      var required = parameters.filter(parameter => parameter.in=="query" && parameter.required)
+                               .map(parameter => parameter.name);
+      if (required.length > 0) {
+        definition.params = required;
+      }
+      var requestBody = operation.requestBody ? resolveRef(document, operation.requestBody) : undefined;
+      var contentTypes = Object.keys((requestBody && requestBody.content) || {});
+      if (contentTypes.length > 0 && !contentTypes.some(type => /json/.test(type))) {
+        definition.contentType = contentTypes[0];
+      }
+      var name = camelCase(operation.operationId || method + " " + path.replace(/[{}]/g, ""));
+      var group = operation.tags && operation.tags.length > 0 ? camelCase(operation.tags[0]) : null;
+      var target = map;
+      if (group) {
+        target = map[group] = map[group] || {};
+      }
+      target[name] = definition;
+    });
+  });
+  return map;
+}
+
+// Resolves the references like "#/components/parameters/id" of the document
+function resolveRef(document, value) {
+  while (value && typeof(value.$ref)=='string') {
+    var ref = value.$ref;
+    if (ref.charAt(0)!="#") {
+      throw new Error("Unsupported reference \"" + ref + "\", only local references are supported");
+    }
+    value = ref.substr(1).split("/").filter(token => token!="").reduce((obj, token) => {
+      token = decodeURIComponent(token).replace(/~1/g, "/").replace(/~0/g, "~");
+      return obj!=undefined ? obj[token] : undefined;
+    }, document);
+    if (value==undefined) {
+      throw new Error("Reference \"" + ref + "\" not found");
+    }
+  }
+  return value;
+}
+
+// "list-users", "List users" or "ListUsers" -> "listUsers"
+function camelCase(value) {
+  var words = String(value).split(/[^A-Za-z0-9]+/).filter(word => word!="");
+  return words.map((word, i) => i==0 ? word.charAt(0).toLowerCase() + word.substr(1)
+                                     : word.charAt(0).toUpperCase() + word.substr(1)).join("");
+}
+
+
+module.exports = {
+  createResources: createResources,
+  openApiResources: openApiResources
+};
@@ -0,0 +1,292 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var net = require('net');
+
+// Validation of JSON values with JSON Schema (draft-07), used to validate
+// the request and response bodies with the `requestSchema` and `schema` options.
+//
+// All the validation keywords of the draft-07 are supported. The `$ref`
+// keyword only supports references to the same schema, like "#/definitions/user".
+// The `format` keyword validates the formats date-time, date, time, email,
+// hostname, ipv4, ipv6, uri, uuid and regex, other formats are ignored.
+
+var FORMATS = {
+  "date-time": value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value)
+                        && !isNaN(Date.parse(value)),
+  "date": value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)),
+  "time": value => /^\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})?$/.test(value),
+  "email": value => /^[^\s@]+@[^\s@]+$/.test(value),
+  "hostname": value => value.length <= 253
+                       && /^[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?(\.[a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?)*$/i.test(value),
+  "ipv4": value => net.isIPv4(value),
+  "ipv6": value => net.isIPv6(value),
+  "uri": value => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value),
+  "uuid": value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value),
+  "regex": value => {
+    try {
+      new RegExp(value);
+      return true;
+    } catch (err) {
+      return false;
+    }
+  }
+};
+
+
+/**
+ * Validates the value with the JSON Schema, returning an array with the
+ * errors found: objects with the `path` of the invalid value, like
+ * "$.items[0].id", and the error `message`. If the value is valid,
+ * the array is empty.
+ */
+function validate(schema, value) {
+  var errors = [];
+  validateValue(schema, value, "$", schema, errors);
+  return errors;
+}
+
+function isValid(schema, value, root) {
+  var errors = [];
+  validateValue(schema, value, "$", root, errors);
+  return errors.length==0;
+}
+
+function validateValue(schema, value, path, root, errors) {
+  if (schema===true || schema==undefined) {
+    return;
+  }
+  if (schema===false) {
+    errors.push(error(path, "is not allowed"));
+    return;
+  }
+  if (schema.$ref!=undefined) {
+    // The other keywords are ignored when `$ref` is present
+    validateValue(resolveRef(root, schema.$ref), value, path, root, errors);
+    return;
+  }
+  var type = typeOf(value);
+  if (schema.type!=undefined) {
+    var types = [].concat(schema.type);
+    if (!types.some(t => t==type || (t=='number' && type=='integer'))) {
+      errors.push(error(path, "must be " + types.join(" or ")));
+      return;
+    }
+  }
+  if (schema.enum!=undefined && !schema.enum.some(item => equal(item, value))) {
+    errors.push(error(path, "must be one of " + JSON.stringify(schema.enum)));
+  }
+  if (schema.const!==undefined && !equal(schema.const, value)) {
+    errors.push(error(path, "must be equal to " + JSON.stringify(schema.const)));
+  }
+  if (type=='number' || type=='integer') {
+    validateNumber(schema, value, path, errors);
+  } else if (type=='string') {
+    validateString(schema, value, path, errors);
+  } else if (type=='array') {
+    validateArray(schema, value, path, root, errors);
+  } else if (type=='object') {
+    validateObject(schema, value, path, root, errors);
+  }
+  if (schema.allOf!=undefined) {
+    schema.allOf.forEach(subschema => validateValue(subschema, value, path, root, errors));
+  }
+  if (schema.anyOf!=undefined && !schema.anyOf.some(subschema => isValid(subschema, value, root))) {
+    errors.push(error(path, "must match at least one schema of anyOf"));
+  }
+  if (schema.oneOf!=undefined) {
+    var matches = schema.oneOf.filter(subschema => isValid(subschema, value, root)).length;
+    if (matches!=1) {
+      errors.push(error(path, "must match exactly one schema of oneOf, but matches " + matches));
+    }
+  }
+  if (schema.not!=undefined && isValid(schema.not, value, root)) {
+    errors.push(error(path, "must not match the schema of not"));
+  }
+  if (schema.if!=undefined) {
+    if (isValid(schema.if, value, root)) {
+      validateValue(schema.then, value, path, root, errors);
+    } else {
+      validateValue(schema.else, value, path, root, errors);
+    }
+  }
+}
+
+function validateNumber(schema, value, path, errors) {
+  if (schema.multipleOf!=undefined) {
+    var quotient = value / schema.multipleOf;
+    if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+      errors.push(error(path, "must be multiple of " + schema.multipleOf));
+    }
+  }
+  if (schema.maximum!=undefined && value > schema.maximum) {
+    errors.push(error(path, "must be <= " + schema.maximum));
+  }
+  if (schema.exclusiveMaximum!=undefined && value >= schema.exclusiveMaximum) {
+    errors.push(error(path, "must be < " + schema.exclusiveMaximum));
+  }
+  if (schema.minimum!=undefined && value < schema.minimum) {
+    errors.push(error(path, "must be >= " + schema.minimum));
+  }
+  if (schema.exclusiveMinimum!=undefined && value <= schema.exclusiveMinimum) {
+    errors.push(error(path, "must be > " + schema.exclusiveMinimum));
+  }
+}
+
+function validateString(schema, value, path, errors) {
+  var length = Array.from(value).length;   // Unicode code points
+  if (schema.maxLength!=undefined && length > schema.maxLength) {
+    errors.push(error(path, "must not have more than " + schema.maxLength + " characters"));
+  }
+  if (schema.minLength!=undefined && length < schema.minLength) {
+    errors.push(error(path, "must not have less than " + schema.minLength + " characters"));
+  }
+  if (schema.pattern!=undefined && !new RegExp(schema.pattern).test(value)) {
+    errors.push(error(path, "must match pattern \"" + schema.pattern + "\""));
+  }
+  if (schema.format!=undefined && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+    errors.push(error(path, "must be a valid " + schema.format));
+  }
+}
+
+function validateArray(schema, value, path, root, errors) {
+  if (schema.items instanceof Array) {
+    value.forEach((item, i) => {
+      var itemSchema = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+      validateValue(itemSchema, item, path + "[" + i + "]", root, errors);
+    });
+  } else if (schema.items!=undefined) {
+    value.forEach((item, i) => validateValue(schema.items, item, path + "[" + i + "]", root, errors));
+  }
+  if (schema.maxItems!=undefined && value.length > schema.maxItems) {
+    errors.push(error(path, "must not have more than " + schema.maxItems + " items"));
+  }
+  if (schema.minItems!=undefined && value.length < schema.minItems) {
+    errors.push(error(path, "must not have less than " + schema.minItems + " items"));
+  }
+  if (schema.uniqueItems && value.some((item, i) => value.slice(0, i).some(other => equal(item, other)))) {
+    errors.push(error(path, "must not have duplicate items"));
+  }
+  if (schema.contains!=undefined && !value.some(item => isValid(schema.contains, item, root))) {
+    errors.push(error(path, "must contain at least one valid item"));
+  }
+}
+
+function validateObject(schema, value, path, root, errors) {
+  var names = Object.keys(value);
+  if (schema.maxProperties!=undefined && names.length > schema.maxProperties) {
+    errors.push(error(path, "must not have more than " + schema.maxProperties + " properties"));
+  }
+  if (schema.minProperties!=undefined && names.length < schema.minProperties) {
+    errors.push(error(path, "must not have less than " + schema.minProperties + " properties"));
+  }
+  (schema.required || []).forEach(name => {
+    if (!(name in value)) {
+      errors.push(error(propertyPath(path, name), "is required"));
+    }
+  });
+  var patterns = Object.keys(schema.patternProperties || {});
+  names.forEach(name => {
+    var propPath = propertyPath(path, name);
+    var matched = false;
+    if (schema.properties && name in schema.properties) {
+      matched = true;
+      validateValue(schema.properties[name], value[name], propPath, root, errors);
+    }
+    patterns.filter(pattern => new RegExp(pattern).test(name)).forEach(pattern => {
+      matched = true;
+      validateValue(schema.patternProperties[pattern], value[name], propPath, root, errors);
+    });
+    if (!matched && schema.additionalProperties!=undefined) {
+      if (schema.additionalProperties===false) {
+        errors.push(error(propPath, "is not allowed"));
+      } else {
+        validateValue(schema.additionalProperties, value[name], propPath, root, errors);
+      }
+    }
+    if (schema.propertyNames!=undefined && !isValid(schema.propertyNames, name, root)) {
+      errors.push(error(propPath, "has an invalid property name"));
+    }
+  });
+  for (var name in schema.dependencies || {}) {
+    if (!(name in value)) {
+      continue;
+    }
+    var dependency = schema.dependencies[name];
+    if (dependency instanceof Array) {
+      dependency.filter(required => !(required in value)).forEach(required => {
+        errors.push(error(propertyPath(path, required), "is required when " + name + " is present"));
+      });
+    } else {
+      validateValue(dependency, value, path, root, errors);
+    }
+  }
+}
+
+// Resolves references to the same schema, like "#" or "#/definitions/user"
+function resolveRef(root, ref) {
+  if (ref.charAt(0)!="#") {
+    throw new Error("Unsupported schema reference \"" + ref + "\", only local references are supported");
+  }
+  return ref.substr(1).split("/").filter(token => token!="").reduce((schema, token) => {
+    token = decodeURIComponent(token).replace(/~1/g, "/").replace(/~0/g, "~");
+    if (schema==undefined || !(token in Object(schema))) {
+      throw new Error("Schema reference \"" + ref + "\" not found");
+    }
+    return schema[token];
+  }, root);
+}
+
+function typeOf(value) {
+  if (value===null) {
+    return 'null';
+  }
+  if (value instanceof Array) {
+    return 'array';
+  }
+  if (typeof(value)=='number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof(value);
+}
+
+function equal(a, b) {
+  var type = typeOf(a);
+  if (type!=typeOf(b) && !((type=='number' || type=='integer') && typeof(b)=='number')) {
+    return false;
+  }
+  if (type=='array') {
+    return a.length==b.length && a.every((item, i) => equal(item, b[i]));
+  }
+  if (type=='object') {
+    var keys = Object.keys(a);
+    return keys.length==Object.keys(b).length && keys.every(k => k in b && equal(a[k], b[k]));
+  }
+  return a===b;
+}
+
+function propertyPath(path, name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name) ? path + "." + name : path + "[" + JSON.stringify(name) + "]";
+}
+
+function error(path, message) {
+  return { path: path, message: message };
+}
+
+
+module.exports = {
+  validate: validate
+};
@@ -0,0 +1,183 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var querystring = require('querystring');
+
+// Serializers of the request bodies and parsers of the response bodies by media type,
+// used by `RequestClient` according to the `Content-Type` of the requests and responses.
+//
+// A serializer is an object with the following (optional) fields:
+// - serialize(data) Returns the body to send, a string or a `Buffer`
+// - parse(body) Returns the value of the response body, a string (or a `Buffer` if
+//   it's binary). Throws an error if the body is not valid
+// - binary If it's `true`, the response bodies are not decoded as text
+// - requestOption The option of the `request` module used to send the data
+//   instead of `serialize()`, like "form" or "formData"
+
+var DEFAULT_SERIALIZERS = {
+  "application/json": {
+    serialize: data => JSON.stringify(data),
+    parse: body => JSON.parse(body)
+  },
+  "application/x-ndjson": {
+    serialize: data => [].concat(data).map(item => JSON.stringify(item) + "\n").join(""),
+    parse: body => body.split(/\r?\n/).filter(line => line.trim()!="").map(line => JSON.parse(line))
+  },
+  "application/x-www-form-urlencoded": {
+    requestOption: "form",
+    serialize: data => typeof(data)=='string' ? data : querystring.stringify(data),
+    parse: body => Object.assign({}, querystring.parse(body))
+  },
+  "multipart/form-data": {
+    requestOption: "formData"
+  },
+  "application/xml": {
+    serialize: data => typeof(data)=='string' ? data : toXml(data)
+  },
+  "text/xml": {
+    serialize: data => typeof(data)=='string' ? data : toXml(data)
+  },
+  "text/*": {
+    serialize: data => String(data)
+  },
+  "application/octet-stream": {
+    binary: true,
+    serialize: data => Buffer.isBuffer(data) ? data : Buffer.from(String(data))
+  }
+};
+
+// Short names of the media types accepted in the `contentType` and `accept` options
+var ALIASES = {
+  json: "application/json",
+  ndjson: "application/x-ndjson",
+  form: "application/x-www-form-urlencoded",
+  formData: "multipart/form-data",
+  xml: "application/xml",
+  text: "text/plain",
+  binary: "application/octet-stream"
+};
+
+
+/**
+ * Registry of the serializers by media type, with built-in serializers
+ * for JSON, NDJSON, urlencoded forms, multipart forms, XML, text and binary data.
+ * The registry of each client is available at `client.serializers`.
+ */
+class Serializers {
+
+  /**
+   * @param serializers (optional) An object with serializers by media type
+   *                    to add to the built-in ones, or to replace them
+   */
+  constructor(serializers) {
+    this._serializers = Object.assign({}, DEFAULT_SERIALIZERS);
+    for (var mediaType in serializers || {}) {
+      this.register(mediaType, serializers[mediaType]);
+    }
+  }
+
+  /**
+   * Registers the serializer of the media type, like "application/xml",
+   * or a range of media types like "text/*".
+   */
+  register(mediaType, serializer) {
+    this._serializers[mediaType.toLowerCase()] = serializer;
+    return this;
+  }
+
+  /**
+   * Returns the serializer of the content type (parameters like "charset" are
+   * ignored), or `undefined` if there is no serializer for it. Media types with
+   * suffixes like "application/problem+json" use the serializer of the suffix
+   * ("application/json") if they don't have their own serializer.
+   */
+  find(contentType) {
+    var mediaType = Serializers.mediaType(contentType);
+    if (!mediaType) {
+      return undefined;
+    }
+    var suffix = /\+([a-z0-9.-]+)$/.exec(mediaType);
+    return this._serializers[mediaType]
+        || (suffix ? this._serializers["application/" + suffix[1]] : undefined)
+        || this._serializers[mediaType.split("/")[0] + "/*"];
+  }
+
+  /**
+   * Returns the media type of the `Content-Type` value, or of the short names
+   * used in the options: "json", "ndjson", "form", "formData", "xml", "text" or "binary".
+   */
+  static mediaType(contentType) {
+    if (!contentType) {
+      return undefined;
+    }
+    return (ALIASES[contentType] || String(contentType)).split(";")[0].trim().toLowerCase();
+  }
+
+  /**
+   * Returns the value of the "charset" parameter of the content type, if any.
+   */
+  static charset(contentType) {
+    var match = /;\s*charset\s*=\s*"?([^";]+)"?/i.exec(contentType || "");
+    return match ? match[1].trim().toLowerCase() : undefined;
+  }
+}
+
+/**
+ * Returns the JSON value of the body of the request options, sent with the `json`
+ * option or serialized in the `body` with a JSON content type, or `undefined`.
+ */
+function jsonBody(reqOptions) {
+  if (reqOptions.json!=undefined && typeof(reqOptions.json)!='boolean') {
+    return reqOptions.json;
+  }
+  var headers = reqOptions.headers || {};
+  var contentType = Object.keys(headers).filter(k => k.toLowerCase()=="content-type")[0];
+  if (typeof(reqOptions.body)=='string' && contentType
+      && /^[^;]*[\/+]json\s*(;|$)/i.test(headers[contentType])) {
+    try {
+      return JSON.parse(reqOptions.body);
+    } catch (err) {
+    }
+  }
+  return undefined;
+}
+
+// Serializes an object like `{user: {name: "John", tags: ["a", "b"]}}` as
+// "<user><name>John</name><tags>a</tags><tags>b</tags></user>"
+function toXml(value) {
+  if (value==undefined) {
+    return "";
+  }
+  if (typeof(value)!='object') {
+    return escapeXml(String(value));
+  }
+  return Object.keys(value).map(name => [].concat(value[name]).map(item =>
+    "<" + name + ">" + toXml(item) + "</" + name + ">"
+  ).join("")).join("");
+}
+
+function escapeXml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;")
+             .replace(/"/g, "&quot;").replace(/'/g, "&apos;");
+}
+
+
+module.exports = {
+  Serializers: Serializers,
+  DEFAULT_SERIALIZERS: DEFAULT_SERIALIZERS,
+  ALIASES: ALIASES,
+  jsonBody: jsonBody
+};
@@ -0,0 +1,678 @@
+// Copyright 2016-2018 Mariano Ruiz <mrsarm@gmail.com>
+//
+//    Licensed under the Apache License, Version 2.0 (the "License");
+//    you may not use this file except in compliance with the License.
+//    You may obtain a copy of the License at
+//
+//        http://www.apache.org/licenses/LICENSE-2.0
+//
+//    Unless required by applicable law or agreed to in writing, software
+//    distributed under the License is distributed on an "AS IS" BASIS,
+//    WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+//    See the License for the specific language governing permissions and
+//    limitations under the License.
+
+'use strict';
+
+var fs = require('fs');
+var http = require('http');
+var https = require('https');
+var tls = require('tls');
+var url = require('url');
+var zlib = require('zlib');
+var path = require('path');
+var crypto = require('crypto');
+var PassThrough = require('stream').PassThrough;
+
+// Transports used by `RequestClient` to send the HTTP requests.
+//
+// A transport is an object with a `request(reqOptions, callback)` method, or a
+// function with the same signature, like the `request` module. The `reqOptions`
+// are the options built by `RequestClient` (`method`, `url`, `headers`, `body`,
+// `form`, `formData`, `auth`, `timeout`, `jar`, `gzip`, `followRedirect`...,
+// and the `requestOptions` given), and the `callback` is called with the error,
+// or `null`, the response (with the `statusCode`, `headers` and `body`) and the
+// body. It returns an object with the `abort()` method, that emits the `socket`
+// and `error` events. If the callback is not given, the returned object is a
+// readable stream with the response body, that emits the `response` event.
+
+// Options passed to `https.request()` to configure the TLS connections
+var TLS_OPTIONS = ['ca', 'cert', 'key', 'pfx', 'passphrase', 'rejectUnauthorized',
+                   'servername', 'ciphers', 'secureProtocol', 'minVersion', 'maxVersion'];
+
+// Decompression of the responses, tolerant with truncated bodies
+var ZLIB_OPTIONS = { flush: zlib.Z_SYNC_FLUSH, finishFlush: zlib.Z_SYNC_FLUSH };
+
+// The methods that are not redirected, unless the `followAllRedirects` option is set
+var NOT_REDIRECTED = ['PATCH', 'PUT', 'POST', 'DELETE'];
+
+// Content types of the files uploaded in multipart forms by extension
+var FILE_TYPES = {
+  ".json": "application/json",
+  ".xml": "application/xml",
+  ".txt": "text/plain",
+  ".csv": "text/csv",
+  ".html": "text/html",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+  ".gz": "application/gzip",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml"
+};
+
+
+/**
+ * Transport that sends the requests with the Node.js `http` and `https`
+ * modules. It supports keep-alive connections with the `forever` option,
+ * the decoding of gzip, deflate and brotli responses with the `gzip` option,
+ * redirects (`followRedirect`, `followAllRedirects` and `maxRedirects`),
+ * cookie jars, HTTP proxies (the `proxy` option, or the `HTTP_PROXY`,
+ * `HTTPS_PROXY` and `NO_PROXY` environment variables) and the TLS options
+ * `ca`, `cert`, `key`, `pfx`, `passphrase` and `rejectUnauthorized`.
+ */
+class HttpTransport {
+
+  /**
+   * @param options (optional) An object with the following options:
+   * - agentOptions (optional) Options of the `http.Agent` objects created, like
+   *                `keepAlive`, `keepAliveMsecs` or `maxSockets`
+   */
+  constructor(options) {
+    this.agentOptions = (options && options.agentOptions) || {};
+    this._agents = new Map();
+  }
+
+  /**
+   * Sends the request, see the transports interface above.
+   * @returns {TransportRequest} the request
+   */
+  request(reqOptions, callback) {
+    var req = new TransportRequest(this, reqOptions, callback);
+    process.nextTick(() => req._start());   // The listeners are added by the caller first
+    return req;
+  }
+
+  /**
+   * Closes the connections kept alive by the agents of the transport.
+   */
+  destroy() {
+    this._agents.forEach(agent => agent.destroy());
+    this._agents.clear();
+  }
+
+  // The agent of the request: the `agent` option, an agent of the transport with the
+  // `forever` (keep-alive), `pool.maxSockets` and `agentOptions` options, or the global agent
+  _agent(protocol, reqOptions) {
+    if (reqOptions.agent!==undefined) {
+      return reqOptions.agent;
+    }
+    var agentOptions = Object.assign({}, this.agentOptions, reqOptions.agentOptions);
+    if (reqOptions.forever) {
+      agentOptions.keepAlive = true;
+    }
+    if (reqOptions.pool && reqOptions.pool.maxSockets) {
+      agentOptions.maxSockets = reqOptions.pool.maxSockets;
+    }
+    if (Object.keys(agentOptions).length==0) {
+      return undefined;
+    }
+    var key = protocol + JSON.stringify(agentOptions);
+    if (!this._agents.has(key)) {
+      this._agents.set(key, new (protocol=="https:" ? https : http).Agent(agentOptions));
+    }
+    return this._agents.get(key);
+  }
+}
+
+/**
+ * A request sent by `HttpTransport`, following the redirects. When it's
+ * made without callback, it's a readable stream with the response body.
+ */
+class TransportRequest extends PassThrough {
+
+  constructor(transport, reqOptions, callback) {
+    super();
+    this.aborted = false;
+    this.redirects = [];    // The redirects followed, with the `statusCode` and `redirectUri`
+    this._transport = transport;
+    this._options = reqOptions;
+    this._callback = callback;
+    this._current = null;   // The `http.ClientRequest` in progress
+    this._finished = false;
+  }
+
+  /**
+   * Aborts the request, the callback is not called.
+   */
+  abort() {
+    if (this.aborted || this._finished) {
+      return;
+    }
+    this.aborted = true;
+    if (this._current) {
+      this._current.abort();
+    }
+    this.emit('abort');
+  }
+
+  _start() {
+    if (this.aborted) {
+      return;
+    }
+    var options = this._options;
+    var headers = Object.assign({}, options.headers);
+    var body;
+    try {
+      body = requestBody(options, headers);
+    } catch (err) {
+      return this._fail(err);
+    }
+    var auth = authorization(options.auth);
+    if (auth && options.auth.sendImmediately===false) {
+      this._challengeAuth = auth;   // Sent after a 401 response
+    } else if (auth) {
+      setHeader(headers, "Authorization", auth);
+    }
+    if (options.gzip && !findHeader(headers, "Accept-Encoding")) {
+      headers["Accept-Encoding"] = zlib.createBrotliDecompress ? "gzip, deflate, br" : "gzip, deflate";
+    }
+    this._send(options.url, (options.method || "GET").toUpperCase(), headers, body);
+  }
+
+  // Sends the request to the URL, and follows the redirects of the response
+  _send(requestUrl, method, headers, body) {
+    var self = this;
+    var options = self._options;
+    var target = url.parse(requestUrl);
+    if (target.protocol!="http:" && target.protocol!="https:") {
+      return self._fail(new Error("Invalid protocol: " + target.protocol));
+    }
+    var sentHeaders = Object.assign({}, headers);
+    var jar = options.jar;
+    var cookies = jar && typeof(jar.getCookieString)=='function' ? jar.getCookieString(requestUrl) : "";
+    if (cookies) {
+      var cookie = findHeader(sentHeaders, "Cookie");
+      sentHeaders[cookie || "Cookie"] = cookie ? sentHeaders[cookie] + "; " + cookies : cookies;
+    }
+    var params = {
+      protocol: target.protocol,
+      hostname: target.hostname,
+      port: target.port,
+      path: target.path,
+      method: method,
+      headers: sentHeaders,
+      agent: self._transport._agent(target.protocol, options)
+    };
+    if (target.protocol=="https:") {
+      TLS_OPTIONS.filter(name => options[name]!==undefined).forEach(name => { params[name] = options[name]; });
+    }
+    var timings = { startTime: new Date().getTime(), start: now() };
+    var proxy = proxyUrl(options, target);
+    if (proxy && proxy.auth) {
+      sentHeaders["Proxy-Authorization"] = "Basic " + Buffer.from(decodeURIComponent(proxy.auth)).toString("base64");
+    }
+    if (proxy && target.protocol=="http:") {
+      // The request is sent to the proxy with the absolute URL
+      setHeader(sentHeaders, "Host", sentHeaders[findHeader(sentHeaders, "Host")] || target.host);
+      Object.assign(params, {
+        protocol: proxy.protocol,
+        hostname: proxy.hostname,
+        port: proxy.port,
+        path: target.href,
+        agent: self._transport._agent(proxy.protocol, options)
+      });
+    } else if (proxy) {
+      delete sentHeaders["Proxy-Authorization"];
+      return tunnel(proxy, target, (error, socket) => {
+        if (self.aborted) {
+          return socket && socket.destroy();
+        }
+        if (error) {
+          return self._fail(error);
+        }
+        params.agent = undefined;
+        params.createConnection = () =>
+          tls.connect(Object.assign({}, params, { socket: socket, servername: params.servername || target.hostname }));
+        self._dispatch(params, requestUrl, headers, body, timings);
+      });
+    }
+    self._dispatch(params, requestUrl, headers, body, timings);
+  }
+
+  // Makes the request with the `http` or `https` module
+  _dispatch(params, requestUrl, headers, body, timings) {
+    var self = this;
+    var options = self._options;
+    var req = self._current = (params.protocol=="https:" ? https : http).request(params);
+    req.on('socket', socket => {
+      timings.socket = now();
+      var connected = time => {
+        timings.lookup = timings.lookup || timings.socket;
+        timings.connect = time;
+        if (options.timeout) {
+          req.setTimeout(options.timeout, () => {
+            req.abort();
+            self._fail(timeoutError("ESOCKETTIMEDOUT", false));
+          });
+        }
+      };
+      if (socket.connecting) {
+        socket.once('lookup', () => { timings.lookup = now(); });
+        var timer = options.timeout ? setTimeout(() => {
+          req.abort();
+          self._fail(timeoutError("ETIMEDOUT", true));
+        }, options.timeout) : undefined;
+        socket.once('connect', () => {
+          clearTimeout(timer);
+          connected(now());
+        });
+        req.once('error', () => clearTimeout(timer));
+        req.once('abort', () => clearTimeout(timer));
+      } else {
+        connected(timings.socket);   // Socket reused from the pool
+      }
+      self.emit('socket', socket);
+    });
+    req.on('error', error => self._fail(error));
+    req.on('response', res => self._handleResponse(res, requestUrl, params, headers, body, timings));
+    if (body && typeof(body.pipe)=='function') {
+      body.on('error', error => {
+        req.abort();
+        self._fail(error);
+      });
+      body.pipe(req);
+    } else {
+      req.end(body);
+    }
+  }
+
+  _handleResponse(res, requestUrl, params, headers, body, timings) {
+    var options = this._options;
+    var method = params.method;
+    timings.response = now();
+    if (this.aborted) {
+      return res.resume();
+    }
+    var jar = options.jar;
+    var setCookie = res.headers["set-cookie"];
+    if (jar && typeof(jar.setCookie)=='function' && setCookie!=undefined) {
+      setCookie.forEach(cookie => jar.setCookie(cookie, requestUrl, {ignoreError: true}));
+    }
+    var challenge = /^\s*(basic|bearer)\b/i.test(res.headers["www-authenticate"] || "");
+    if (res.statusCode==401 && this._challengeAuth && challenge && !isStream(body)) {
+      // Authentication with `sendImmediately: false`
+      var authHeaders = setHeader(Object.assign({}, headers), "Authorization", this._challengeAuth);
+      this._challengeAuth = undefined;
+      res.resume();
+      return this._send(requestUrl, method, authHeaders, body);
+    }
+    var location = this._redirectLocation(res, method, body);
+    if (location) {
+      var maxRedirects = options.maxRedirects!=undefined ? options.maxRedirects : 10;
+      res.resume();
+      if (this.redirects.length >= maxRedirects) {
+        return this._fail(new Error("Exceeded maxRedirects. Probably stuck in a redirect loop " + requestUrl));
+      }
+      var redirectUrl = url.resolve(requestUrl, location);
+      this.redirects.push({ statusCode: res.statusCode, redirectUri: redirectUrl });
+      headers = Object.assign({}, headers);
+      removeHeader(headers, "Host");
+      if (url.parse(redirectUrl).hostname!=url.parse(requestUrl).hostname) {
+        removeHeader(headers, "Authorization");
+        this._challengeAuth = undefined;
+      }
+      if (res.statusCode!=307 && res.statusCode!=308) {
+        // Redirected as a GET request, without body
+        method = method=="HEAD" ? "HEAD" : "GET";
+        body = undefined;
+        removeHeader(headers, "Content-Type");
+        removeHeader(headers, "Content-Length");
+      }
+      return this._send(redirectUrl, method, headers, body);
+    }
+    this._respond(res, requestUrl, method, params.headers, body, timings);
+  }
+
+  // The location of the redirect to follow, or `undefined` if the response is not followed
+  _redirectLocation(res, method, body) {
+    var options = this._options;
+    var location = res.headers["location"];
+    if (res.statusCode < 300 || res.statusCode >= 400 || !location || options.followRedirect===false) {
+      return undefined;
+    }
+    if (typeof(options.followRedirect)=='function' && !options.followRedirect(res)) {
+      return undefined;
+    }
+    if (!options.followAllRedirects && NOT_REDIRECTED.indexOf(method)>=0) {
+      return undefined;
+    }
+    if ((res.statusCode==307 || res.statusCode==308) && isStream(body)) {
+      return undefined;   // The stream can't be sent again
+    }
+    return location;
+  }
+
+  // Decodes the response body, and calls the callback with it, or streams it
+  _respond(res, requestUrl, method, headers, body, timings) {
+    var self = this;
+    var options = self._options;
+    var stream = res;
+    var encoding = (res.headers["content-encoding"] || "").trim().toLowerCase();
+    if (options.gzip && method!="HEAD" && res.statusCode!=204 && res.statusCode!=304) {
+      var decoder = encoding=="gzip" ? zlib.createGunzip(ZLIB_OPTIONS)
+                  : encoding=="deflate" ? zlib.createInflate(ZLIB_OPTIONS)
+                  : encoding=="br" && zlib.createBrotliDecompress ? zlib.createBrotliDecompress() : undefined;
+      if (decoder) {
+        decoder.on('error', error => self._fail(error));
+        stream = res.pipe(decoder);
+      }
+    }
+    res.on('error', error => self._fail(error));
+    res.on('aborted', () => {
+      var error = new Error("aborted");
+      error.code = 'ECONNRESET';
+      self._fail(error);
+    });
+    res.request = {
+      method: method,
+      uri: url.parse(requestUrl),
+      href: requestUrl,
+      headers: headers,
+      body: isStream(body) ? undefined : body
+    };
+    self.response = res;
+    var chunks = [];
+    stream.on('end', () => {
+      timings.end = now();
+      res.timingStart = timings.startTime;
+      res.timingPhases = {
+        wait: timings.socket - timings.start,
+        dns: timings.lookup - timings.socket,
+        tcp: timings.connect - timings.lookup,
+        firstByte: timings.response - timings.connect,
+        download: timings.end - timings.response,
+        total: timings.end - timings.start
+      };
+      res.elapsedTime = Math.round(res.timingPhases.total);
+      if (self.aborted || self._finished) {
+        return;
+      }
+      self._finished = true;
+      if (self._callback) {
+        var buffer = Buffer.concat(chunks);
+        res.body = options.encoding===null ? buffer : buffer.toString(options.encoding || "utf8");
+        self._callback(null, res, res.body);
+      }
+    });
+    self.emit('response', res);
+    if (self._callback) {
+      stream.on('data', chunk => chunks.push(chunk));
+    } else {
+      stream.pipe(self);
+    }
+  }
+
+  _fail(error) {
+    if (this.aborted || this._finished) {
+      return;
+    }
+    this._finished = true;
+    if (this.listenerCount('error')>0 || !this._callback) {
+      this.emit('error', error);
+    }
+    if (this._callback) {
+      this._callback(error);
+    }
+  }
+}
+
+// The body of the request options, as a string, a `Buffer` or a stream, setting
+// the content headers: the `body`, the `form` (urlencoded), the `formData`
+// (multipart) or the `json` options
+function requestBody(reqOptions, headers) {
+  var body = reqOptions.body;
+  if (reqOptions.formData!=undefined) {
+    var boundary = "--------------------------" + Array.from(crypto.randomBytes(24)).map(n => n % 10).join("");
+    setHeader(headers, "Content-Type", "multipart/form-data; boundary=" + boundary);
+    body = multipartBody(reqOptions.formData, boundary);
+    var length = multipartLength(body);
+    if (length!=undefined && !findHeader(headers, "Content-Length")) {
+      headers["Content-Length"] = length;
+    }
+  } else if (reqOptions.form!=undefined) {
+    if (!findHeader(headers, "Content-Type")) {
+      headers["Content-Type"] = "application/x-www-form-urlencoded";
+    }
+    body = typeof(reqOptions.form)=='string' ? reqOptions.form : formEncode(reqOptions.form).join("&");
+  } else if (reqOptions.json!=undefined && typeof(reqOptions.json)!='boolean') {
+    if (!findHeader(headers, "Content-Type")) {
+      headers["Content-Type"] = "application/json";
+    }
+    body = JSON.stringify(reqOptions.json);
+  }
+  if (body!=undefined && !isStream(body) && !findHeader(headers, "Content-Length")
+      && !findHeader(headers, "Transfer-Encoding")) {
+    headers["Content-Length"] = Buffer.byteLength(body);
+  }
+  return body;
+}
+
+// Encodes the form with the nested objects and arrays in brackets, like the `qs`
+// module: `{a: [1, 2], b: {c: 3}}` -> "a%5B0%5D=1&a%5B1%5D=2&b%5Bc%5D=3"
+function formEncode(value, prefix) {
+  if (value===undefined) {
+    return [];
+  }
+  if (value===null) {
+    return [encode(prefix) + "="];
+  }
+  if (value instanceof Date) {
+    value = value.toISOString();
+  }
+  if (typeof(value)=='object' && !Buffer.isBuffer(value)) {
+    return Object.keys(value).reduce((pairs, key) =>
+      pairs.concat(formEncode(value[key], prefix!=undefined ? prefix + "[" + key + "]" : key)), []);
+  }
+  return [encode(prefix) + "=" + encode(String(value))];
+}
+
+// Encodes the URI component following the RFC 3986
+function encode(text) {
+  return encodeURIComponent(text).replace(/[!'()*]/g, c => "%" + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+// The multipart body of the form, a `Buffer`, or a stream if some of the values are streams.
+// The values can be strings, `Buffer`, streams, or objects like `{value: ..., options: {filename:
+// "a.txt", contentType: "text/plain"}}`, and arrays of them
+function multipartBody(formData, boundary) {
+  var parts = [];
+  Object.keys(formData).forEach(name => {
+    [].concat(formData[name]).forEach(field => {
+      var value = field!=null && field.value!==undefined && field.options ? field.value : field;
+      var fieldOptions = value!==field ? field.options : {};
+      var filename = fieldOptions.filename || (value && typeof(value.path)=='string' ? path.basename(value.path) : undefined);
+      var contentType = fieldOptions.contentType
+                     || (filename ? FILE_TYPES[path.extname(filename).toLowerCase()] : undefined)
+                     || (value!=null && typeof(value)=='object' ? "application/octet-stream" : undefined);
+      var header = "--" + boundary + "\r\nContent-Disposition: form-data; name=\"" + name + "\""
+                 + (filename ? "; filename=\"" + filename + "\"" : "") + "\r\n"
+                 + (contentType ? "Content-Type: " + contentType + "\r\n" : "") + "\r\n";
+      parts.push(Buffer.from(header));
+      parts.push(isStream(value) || Buffer.isBuffer(value) ? value : Buffer.from(String(value)));
+      parts.push(Buffer.from("\r\n"));
+    });
+  });
+  parts.push(Buffer.from("--" + boundary + "--\r\n"));
+  if (!parts.some(isStream)) {
+    return Buffer.concat(parts);
+  }
+  var output = new PassThrough();
+  output.parts = parts;
+  var next = index => {
+    if (index >= parts.length) {
+      return output.end();
+    }
+    var part = parts[index];
+    if (!isStream(part)) {
+      output.write(part);
+      return next(index + 1);
+    }
+    part.on('error', error => output.emit('error', error));
+    part.on('end', () => next(index + 1));
+    part.pipe(output, { end: false });
+  };
+  next(0);
+  return output;
+}
+
+// The size of the multipart body, `undefined` if it has streams that are not files
+function multipartLength(body) {
+  if (!body.parts) {
+    return undefined;
+  }
+  var length = 0;
+  for (var part of body.parts) {
+    if (!isStream(part)) {
+      length += part.length;
+    } else if (part instanceof fs.ReadStream && typeof(part.path)=='string') {
+      var end = part.end!=undefined && part.end!=Infinity ? part.end + 1 : fs.statSync(part.path).size;
+      length += end - (part.start || 0);
+    } else {
+      return undefined;
+    }
+  }
+  return length;
+}
+
+// The value of the `Authorization` header of the `auth` option: basic with
+// the `user` (or `username`) and `pass` (or `password`), or the `bearer` token
+function authorization(auth) {
+  if (!auth) {
+    return undefined;
+  }
+  if (auth.bearer!=undefined) {
+    return "Bearer " + (typeof(auth.bearer)=='function' ? auth.bearer() : auth.bearer);
+  }
+  var user = auth.user!=undefined ? auth.user : auth.username;
+  var pass = auth.pass!=undefined ? auth.pass : auth.password;
+  if (user==undefined && pass==undefined) {
+    return undefined;
+  }
+  return "Basic " + Buffer.from((user || "") + ":" + (pass || "")).toString("base64");
+}
+
+// The proxy of the request: the `proxy` option, or the `HTTP_PROXY` and `HTTPS_PROXY`
+// environment variables if the host is not excluded in `NO_PROXY`
+function proxyUrl(reqOptions, target) {
+  var proxy = reqOptions.proxy;
+  if (proxy===undefined) {
+    var env = process.env;
+    proxy = noProxy(target) ? undefined
+          : target.protocol=="https:" ? env.HTTPS_PROXY || env.https_proxy || env.HTTP_PROXY || env.http_proxy
+          : env.HTTP_PROXY || env.http_proxy;
+  }
+  if (!proxy) {
+    return undefined;
+  }
+  return typeof(proxy)=='string' ? url.parse(proxy.indexOf("://")<0 ? "http://" + proxy : proxy) : proxy;
+}
+
+// Whether the host of the URL is excluded in the `NO_PROXY` environment variable,
+// a list of hosts like "localhost,.example.com,10.0.0.1:8080", or "*"
+function noProxy(target) {
+  var hosts = process.env.NO_PROXY || process.env.no_proxy;
+  if (!hosts) {
+    return false;
+  }
+  var hostname = (target.hostname || "").toLowerCase();
+  var port = target.port || (target.protocol=="https:" ? "443" : "80");
+  return hosts.split(",").map(host => host.trim().toLowerCase()).filter(host => host).some(host => {
+    if (host=="*") {
+      return true;
+    }
+    var index = host.lastIndexOf(":");
+    var domain = (index<0 ? host : host.substr(0, index)).replace(/^\*?\./, "");
+    return (hostname==domain || hostname.substr(-domain.length - 1)=="." + domain)
+        && (index<0 || host.substr(index + 1)==port);
+  });
+}
+
+// Opens a tunnel to the target host through the proxy with a `CONNECT` request,
+// calling the callback with the socket connected
+function tunnel(proxy, target, callback) {
+  var headers = { "Host": target.hostname + ":" + (target.port || 443) };
+  if (proxy.auth) {
+    headers["Proxy-Authorization"] = "Basic " + Buffer.from(decodeURIComponent(proxy.auth)).toString("base64");
+  }
+  var req = (proxy.protocol=="https:" ? https : http).request({
+    hostname: proxy.hostname,
+    port: proxy.port,
+    method: "CONNECT",
+    path: headers["Host"],
+    headers: headers,
+    agent: false
+  });
+  req.on('connect', (res, socket) => {
+    if (res.statusCode!=200) {
+      socket.destroy();
+      var error = new Error("Tunneling socket could not be established, statusCode=" + res.statusCode);
+      error.code = 'ECONNRESET';
+      return callback(error);
+    }
+    callback(null, socket);
+  });
+  req.on('error', error => callback(error));
+  req.end();
+}
+
+function timeoutError(code, connect) {
+  var error = new Error(code);
+  error.code = code;
+  error.connect = connect;
+  return error;
+}
+
+function isStream(value) {
+  return value!=null && typeof(value.pipe)=='function';
+}
+
+// Milliseconds with decimals, used in the timings
+function now() {
+  var time = process.hrtime();
+  return time[0] * 1e3 + time[1] / 1e6;
+}
+
+function findHeader(headers, name) {
+  return Object.keys(headers || {}).filter(k => k.toLowerCase()==name.toLowerCase())[0];
+}
+
+function setHeader(headers, name, value) {
+  removeHeader(headers, name);
+  headers[name] = value;
+  return headers;
+}
+
+function removeHeader(headers, name) {
+  var header = findHeader(headers, name);
+  if (header) {
+    delete headers[header];
+  }
+}
+
+/**
+ * Sends the request with the transport: an object with
+ * the `request()` method, or a function like the `request` module.
+ */
+function send(transport, reqOptions, callback) {
+  return typeof(transport)=='function' ? transport(reqOptions, callback) : transport.request(reqOptions, callback);
+}
+
+
+module.exports = {
+  HttpTransport: HttpTransport,
+  TransportRequest: TransportRequest,
+  send: send
+};